@@ -0,0 +1,143 @@
+// --- SYNC SERVER ---
+// Optional relay that keeps exam clocks in several rooms in step (see src/remoteSync.js).
+// Each room code has at most one master clock; its exam list and timing state are passed on
+// to every follower, and the latest copy is kept so a follower that (re)joins catches up at once.
+// The server's clock is the shared reference: clients measure their offset from it with pings.
+//
+// Run on any machine the room computers can reach:  npm run sync-server
+// PORT sets the port (default 8787).
+import { pathToFileURL } from 'node:url';
+import { WebSocketServer, WebSocket } from 'ws';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+// Clients ping every few seconds; a socket quiet for this long is treated as gone
+const IDLE_TIMEOUT_MS = 30 * 1000;
+
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{4,12}$/;
+const ROLES = ['master', 'follower'];
+
+// --- Relay ---
+// The rooms and connection handling, separate from the listening socket so tests can drive it
+// with stand-in sockets (see sync-server.test.js).
+export const createRelay = () => {
+    // room code -> { master, followers, examList, examStates }
+    const rooms = new Map();
+
+    const getRoom = (code) => {
+        if (!rooms.has(code)) {
+            rooms.set(code, { master: null, followers: new Set(), examList: null, examStates: new Map() });
+        }
+        return rooms.get(code);
+    };
+
+    const send = (socket, message) => {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    };
+
+    const handleConnection = (socket) => {
+        // { code, role } once joined
+        let membership = null;
+        let lastMessageAt = Date.now();
+
+        const idleCheck = setInterval(() => {
+            if (Date.now() - lastMessageAt > IDLE_TIMEOUT_MS) socket.terminate();
+        }, IDLE_TIMEOUT_MS / 2);
+
+        const join = ({ room: code, role }) => {
+            if (membership) return;
+            if (typeof code !== 'string' || !ROOM_CODE_PATTERN.test(code) || !ROLES.includes(role)) {
+                send(socket, { type: 'error', message: 'Room codes are 4 to 12 letters or digits.' });
+                socket.close();
+                return;
+            }
+
+            const room = getRoom(code);
+            if (role === 'master') {
+                if (room.master) {
+                    send(socket, { type: 'error', message: `Room ${code} already has a master clock.` });
+                    socket.close();
+                    return;
+                }
+                room.master = socket;
+            } else {
+                room.followers.add(socket);
+            }
+            membership = { code, role };
+            send(socket, { type: 'joined', room: code, role });
+
+            // Bring a follower up to date with the master's last known state
+            if (role === 'follower') {
+                if (room.examList) send(socket, room.examList);
+                room.examStates.forEach(message => send(socket, message));
+            }
+        };
+
+        // Only the master's exam messages are kept and passed on
+        const relay = (message) => {
+            if (membership?.role !== 'master') return;
+
+            const room = rooms.get(membership.code);
+            if (message.type === 'exam-list') {
+                room.examList = message;
+                // Forget exams the master no longer has
+                room.examStates.forEach((state, examId) => {
+                    if (!message.examIds.includes(examId)) room.examStates.delete(examId);
+                });
+            } else {
+                room.examStates.set(message.examId, message);
+            }
+            room.followers.forEach(follower => send(follower, message));
+        };
+
+        socket.on('message', (data) => {
+            lastMessageAt = Date.now();
+
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch {
+                return;
+            }
+            // Valid JSON isn't always a message (e.g. the text 'null')
+            if (!message || typeof message !== 'object' || typeof message.type !== 'string') return;
+
+            if (message.type === 'ping') {
+                send(socket, { type: 'pong', sentAt: message.sentAt, serverTime: Date.now() });
+            } else if (message.type === 'join') {
+                join(message);
+            } else if (message.type === 'exam-list' && Array.isArray(message.examIds)) {
+                relay(message);
+            } else if (message.type === 'exam-state' && typeof message.examId === 'string') {
+                relay(message);
+            }
+        });
+
+        socket.on('close', () => {
+            clearInterval(idleCheck);
+            if (!membership) return;
+
+            const room = rooms.get(membership.code);
+            if (membership.role === 'master') {
+                // Followers keep the last state; a new master can take over the room
+                room.master = null;
+            } else {
+                room.followers.delete(socket);
+            }
+            if (!room.master && room.followers.size === 0) {
+                rooms.delete(membership.code);
+            }
+        });
+    };
+
+    return { rooms, handleConnection };
+};
+
+// Only listens when run as the server (tests import createRelay instead)
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const wss = new WebSocketServer({ port: PORT });
+    wss.on('connection', createRelay().handleConnection);
+    console.log(`Exam Clock sync server listening on ws://localhost:${PORT}`);
+}
@@ -0,0 +1,98 @@
+import { EventEmitter } from 'node:events';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebSocket } from 'ws';
+import { createRelay } from './sync-server.js';
+
+// Stands in for a ws socket: records what the relay sends it
+const createSocket = () => {
+    const socket = new EventEmitter();
+    socket.readyState = WebSocket.OPEN;
+    socket.sent = [];
+    socket.send = (text) => socket.sent.push(JSON.parse(text));
+    socket.close = vi.fn(() => {
+        socket.readyState = WebSocket.CLOSED;
+    });
+    socket.terminate = socket.close;
+    return socket;
+};
+
+let relay;
+let sockets;
+
+// A socket connected to the relay, sending messages as the client would (already JSON, or text)
+const connect = (...messages) => {
+    const socket = createSocket();
+    sockets.push(socket);
+    relay.handleConnection(socket);
+    messages.forEach(message => receive(socket, message));
+    return socket;
+};
+
+const receive = (socket, message) => {
+    socket.emit('message', Buffer.from(typeof message === 'string' ? message : JSON.stringify(message)));
+};
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    relay = createRelay();
+    sockets = [];
+});
+
+afterEach(() => {
+    sockets.forEach(socket => socket.emit('close'));
+    vi.useRealTimers();
+});
+
+describe('message handling', () => {
+    it('ignores text that is valid JSON but not a message', () => {
+        const socket = connect();
+        ['null', '42', '"join"', 'true', '[]', '{"type":7}', 'not json'].forEach(text => {
+            expect(() => receive(socket, text)).not.toThrow();
+        });
+        expect(socket.sent).toEqual([]);
+        expect(socket.close).not.toHaveBeenCalled();
+    });
+
+    it('turns away a join without a valid room code', () => {
+        const socket = connect({ type: 'join', room: { code: 'ROOM1' }, role: 'follower' });
+        expect(socket.sent).toEqual([{ type: 'error', message: 'Room codes are 4 to 12 letters or digits.' }]);
+        expect(socket.close).toHaveBeenCalled();
+        expect(relay.rooms.size).toBe(0);
+    });
+
+    it('answers pings with the server time', () => {
+        vi.setSystemTime(5000);
+        const socket = connect({ type: 'ping', sentAt: 1234 });
+        expect(socket.sent).toEqual([{ type: 'pong', sentAt: 1234, serverTime: 5000 }]);
+    });
+
+    it('passes the master\'s exams on to followers, and catches up late joiners', () => {
+        const master = connect({ type: 'join', room: 'ROOM1', role: 'master' });
+        const early = connect({ type: 'join', room: 'ROOM1', role: 'follower' });
+
+        const examList = { type: 'exam-list', examIds: ['exam-a'] };
+        const examState = { type: 'exam-state', examId: 'exam-a', state: { session: { status: 'running' } } };
+        receive(master, examList);
+        receive(master, examState);
+        expect(early.sent).toEqual([{ type: 'joined', room: 'ROOM1', role: 'follower' }, examList, examState]);
+
+        const late = connect({ type: 'join', room: 'ROOM1', role: 'follower' });
+        expect(late.sent).toEqual([{ type: 'joined', room: 'ROOM1', role: 'follower' }, examList, examState]);
+    });
+
+    it('only relays exam messages from the master', () => {
+        connect({ type: 'join', room: 'ROOM1', role: 'master' });
+        const follower = connect({ type: 'join', room: 'ROOM1', role: 'follower' });
+        const other = connect({ type: 'join', room: 'ROOM1', role: 'follower' });
+
+        receive(follower, { type: 'exam-list', examIds: ['exam-b'] });
+        expect(other.sent).toEqual([{ type: 'joined', room: 'ROOM1', role: 'follower' }]);
+    });
+
+    it('allows one master per room', () => {
+        connect({ type: 'join', room: 'ROOM1', role: 'master' });
+        const second = connect({ type: 'join', room: 'ROOM1', role: 'master' });
+        expect(second.sent).toEqual([{ type: 'error', message: 'Room ROOM1 already has a master clock.' }]);
+        expect(second.close).toHaveBeenCalled();
+    });
+});
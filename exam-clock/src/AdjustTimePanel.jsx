@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { formatTimeAdjustment, formatTimeHHMMSS, parseTimeText } from './timeUtils.js';
+
+const BUTTON_CLASSES = 'px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800 disabled:opacity-40 disabled:hover:bg-transparent';
+
+// Quick adjustments, in minutes
+const STEPS = [-5, -1, 1, 5, 10];
+
+// --- Adjust Time Panel Component ---
+// Overlay for changing the writing time once the exam has started (fire alarm, wrong paper
+// handed out, ...): add or take off minutes, or set the time remaining exactly. Each change is
+// logged and announced to candidates with a "Time adjusted" notice on the projected screen.
+//   timeRemainingSeconds: writing time left now (negative in extra time)
+//   adjustedSeconds:      total adjustment so far this session
+//   onAdjust:             called with seconds to add (negative to take off)
+//   onSetRemaining:       called with the exact writing time to leave, in seconds
+const AdjustTimePanel = ({ label, timeRemainingSeconds, adjustedSeconds, onAdjust, onSetRemaining, onClose }) => {
+    const [remainingText, setRemainingText] = useState('');
+    const [error, setError] = useState('');
+
+    const setRemaining = (event) => {
+        event.preventDefault();
+        const seconds = parseTimeText(remainingText);
+        if (seconds === null || seconds < 60) {
+            setError('Enter at least a minute, as H:MM (e.g. 1:30) or a number of minutes.');
+            return;
+        }
+        setError('');
+        setRemainingText('');
+        onSetRemaining(seconds);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-8 text-left text-white">
+                <div className="flex justify-between items-center mb-4">
+                    <h1 className="text-3xl font-bold">Adjust Time: {label}</h1>
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Close
+                    </button>
+                </div>
+
+                <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mb-6 text-lg">
+                    <dt className="text-gray-400">Time remaining</dt>
+                    <dd className="font-mono">{formatTimeHHMMSS(timeRemainingSeconds)}</dd>
+                    <dt className="text-gray-400">Adjusted so far</dt>
+                    <dd className="font-mono">{adjustedSeconds ? formatTimeAdjustment(adjustedSeconds) : 'None'}</dd>
+                </dl>
+
+                {/* Add or take off minutes */}
+                <div className="flex flex-wrap gap-3 mb-6">
+                    {STEPS.map(minutes => (
+                        <button
+                            key={minutes}
+                            onClick={() => onAdjust(minutes * 60)}
+                            // Nothing left to take off
+                            disabled={minutes < 0 && timeRemainingSeconds <= 0}
+                            className={BUTTON_CLASSES}
+                        >
+                            {minutes > 0 ? '+' : '−'}{Math.abs(minutes)} min
+                        </button>
+                    ))}
+                </div>
+
+                {/* Set the time remaining exactly */}
+                <form onSubmit={setRemaining} className="flex items-center gap-3">
+                    <label htmlFor="adjust-remaining" className="text-xl">Set time remaining</label>
+                    <input
+                        id="adjust-remaining"
+                        type="text"
+                        value={remainingText}
+                        placeholder="1:30"
+                        onChange={(e) => setRemainingText(e.target.value)}
+                        className="w-32 px-2 py-1 rounded bg-black border border-gray-600 text-white font-mono"
+                    />
+                    <button type="submit" className={BUTTON_CLASSES}>
+                        Set
+                    </button>
+                </form>
+                {error && <p className="mt-2 text-red-400">{error}</p>}
+
+                <p className="mt-6 text-gray-400">
+                    The timeline and Finish marker move with the new writing time. Candidates see a
+                    &quot;Time adjusted&quot; notice under the countdown for two minutes.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default AdjustTimePanel;
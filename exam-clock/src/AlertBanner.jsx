@@ -0,0 +1,28 @@
+import React from 'react';
+
+// --- Alert Banner Component ---
+// Shown when a milestone alert fires: a banner across the top of the screen, optionally with
+// a brief full-screen flash behind it. Click anywhere on it to dismiss early.
+//   lines: the announcement in each display language, primary first
+const AlertBanner = ({ alert, lines, label, onDismiss }) => (
+    <div className="fixed inset-0 z-40 pointer-events-none">
+        {/* Full-screen flash (the keyframes live in the App's style block) */}
+        {alert.visual === 'flash' && (
+            <div className="absolute inset-0 bg-white exam-alert-flash"></div>
+        )}
+
+        <button
+            onClick={onDismiss}
+            className="pointer-events-auto absolute inset-x-0 top-0 py-8 px-4 bg-yellow-400 text-black text-4xl sm:text-5xl font-extrabold text-center"
+        >
+            {label && <span className="block text-2xl font-bold mb-2">{label}</span>}
+            {lines.map((line, index) => (
+                <span key={index} className={index > 0 ? 'block mt-2 text-2xl sm:text-3xl font-bold' : 'block'}>
+                    {line}
+                </span>
+            ))}
+        </button>
+    </div>
+);
+
+export default AlertBanner;
@@ -0,0 +1,96 @@
+import React from 'react';
+
+// Face geometry, in SVG units (the SVG scales to its container)
+const SIZE = 240;
+const CENTER = SIZE / 2;
+const FACE_RADIUS = 84;
+const LABEL_RADIUS = 104;
+
+// Point on a circle for a fraction of the way round, clockwise from 12 o'clock
+const pointAt = (fraction, radius) => {
+    const angle = fraction * 2 * Math.PI - Math.PI / 2;
+    return [CENTER + radius * Math.cos(angle), CENTER + radius * Math.sin(angle)];
+};
+
+// SVG path for the sector between two fractions of the way round
+const sectorPath = (from, to) => {
+    const [startX, startY] = pointAt(from, FACE_RADIUS);
+    const [endX, endY] = pointAt(to, FACE_RADIUS);
+    const isLargeArc = to - from > 0.5 ? 1 : 0;
+    return `M ${CENTER} ${CENTER} L ${startX} ${startY} A ${FACE_RADIUS} ${FACE_RADIUS} 0 ${isLargeArc} 1 ${endX} ${endY} Z`;
+};
+
+// A sector, or a whole disc when it goes all the way round (an arc can't)
+const Sector = ({ from, to, color }) => {
+    if (to - from <= 0) return null;
+    if (to - from >= 1) return <circle cx={CENTER} cy={CENTER} r={FACE_RADIUS} fill={color} />;
+    return <path d={sectorPath(from, to)} fill={color} />;
+};
+
+// --- Analog Clock Face Component ---
+// The whole exam (reading then writing time) once round a clock face, starting at 12 o'clock.
+// The time left is drawn as a sector that shrinks towards 12 o'clock as the exam runs, in the
+// reading colour for reading time and the accent colour for writing time.
+//   markers:         [{ time, percent, isReading, isPassed }] along the whole timeline
+//   progressPercent: how much of the timeline has been used
+//   readingPercent:  where reading time ends on the timeline
+const AnalogClockFace = ({ markers, progressPercent, readingPercent, theme, isCompact }) => {
+    const progress = progressPercent / 100;
+    const readingEnd = readingPercent / 100;
+
+    return (
+        <svg
+            viewBox={`0 0 ${SIZE} ${SIZE}`}
+            // As large as the screen allows (smaller when several exams share it)
+            style={{ width: isCompact ? 'min(45vh, 40vw)' : 'min(62vh, 85vw)', height: 'auto' }}
+            role="img"
+            aria-label="Time remaining"
+        >
+            <circle cx={CENTER} cy={CENTER} r={FACE_RADIUS} fill="none" stroke={theme.track} strokeWidth="2" />
+
+            {/* Time left: reading time, then writing time */}
+            <Sector from={progress} to={readingEnd} color={theme.reading} />
+            <Sector from={Math.max(progress, readingEnd)} to={1} color={theme.accentColor} />
+
+            {/* Hand at the current point */}
+            {progress > 0 && progress < 1 && (
+                <line
+                    x1={CENTER}
+                    y1={CENTER}
+                    x2={pointAt(progress, FACE_RADIUS)[0]}
+                    y2={pointAt(progress, FACE_RADIUS)[1]}
+                    stroke={theme.text}
+                    strokeWidth="2"
+                />
+            )}
+            <circle cx={CENTER} cy={CENTER} r="3" fill={theme.text} />
+
+            {/* Ticks and labels for the timeline markers (Finish shares 12 o'clock with Start) */}
+            {markers.map((marker, index) => {
+                const fraction = marker.percent / 100;
+                const [innerX, innerY] = pointAt(fraction, FACE_RADIUS - 6);
+                const [outerX, outerY] = pointAt(fraction, FACE_RADIUS + 4);
+                const isFinish = index === markers.length - 1 && fraction >= 1;
+                const [labelX, labelY] = pointAt(fraction, isFinish ? LABEL_RADIUS + 10 : LABEL_RADIUS);
+                const color = marker.isPassed ? theme.passed : (marker.isReading ? theme.reading : theme.text);
+                return (
+                    <g key={index}>
+                        <line x1={innerX} y1={innerY} x2={outerX} y2={outerY} stroke={color} strokeWidth="2" />
+                        <text
+                            x={labelX}
+                            y={labelY}
+                            fill={color}
+                            fontSize="9"
+                            textAnchor="middle"
+                            dominantBaseline="middle"
+                        >
+                            {marker.time}
+                        </text>
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+export default AnalogClockFace;
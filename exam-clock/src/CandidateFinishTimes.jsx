@@ -0,0 +1,56 @@
+import React from 'react';
+import { groupCandidates, getCandidateFinishAt } from './candidates.js';
+import { formatTimeHHMMSS, formatTimeOfDay } from './timeUtils.js';
+import { translate, getLocale } from './i18n.js';
+
+// --- Candidate Finish Times Component ---
+// Each special conditions group's own finish time on the projected screen. Once main writing
+// time is over, each group also gets a countdown to its finish.
+//   writingEndAt:         ms timestamp when main writing time ends (projected while it is still
+//                         running, null before the exam starts)
+//   pausedAfterWritingMs: time paused since main writing time ended (moves every finish on)
+//   isWritingOver:        whether main writing time has ended
+//   language:             the primary display language
+const CandidateFinishTimes = ({ candidates, writingEndAt, pausedAfterWritingMs, isWritingOver, now, theme, language, isCompact }) => {
+    const groups = groupCandidates(candidates);
+    if (groups.length === 0) return null;
+
+    const textSize = isCompact ? 'text-xl sm:text-2xl' : 'text-2xl sm:text-3xl';
+
+    return (
+        <div className="mt-8 w-full max-w-xl text-left p-4 rounded-lg border" style={{ borderColor: theme.track }}>
+            <p className={`${textSize} font-semibold mb-2`} style={{ color: theme.text }}>{translate(language, 'specialConditions')}</p>
+            <ul>
+                {groups.map(group => {
+                    const finishAt = getCandidateFinishAt(group.allowanceMinutes, { writingEndAt, pausedAfterWritingMs });
+                    const remainingSeconds = Math.max(0, Math.ceil((finishAt - now) / 1000));
+                    const isGroupFinished = isWritingOver && remainingSeconds === 0;
+
+                    return (
+                        <li key={group.key} className={`${textSize} mb-2`} style={{ color: isGroupFinished ? theme.muted : theme.text }}>
+                            <span className="font-medium">{group.labels.join(', ')}</span>
+                            {' '}
+                            <span style={{ color: theme.muted }}>
+                                ({translate(language, 'candidateAllowance', { extra: group.extraMinutes })}
+                                {group.restMinutes > 0 ? `, ${translate(language, 'candidateRest', { rest: group.restMinutes })}` : ''})
+                            </span>
+                            {/* Finish time is only known once the exam has started */}
+                            {writingEndAt !== null && (isGroupFinished ? (
+                                ` — ${translate(language, 'candidateFinished')}`
+                            ) : (
+                                <>
+                                    {' — '}{translate(language, 'candidateFinishAt', { time: formatTimeOfDay(finishAt, getLocale(language)) })}
+                                    {isWritingOver && (
+                                        <span className="font-bold" style={{ color: theme.alert }}> {formatTimeHHMMSS(remainingSeconds)}</span>
+                                    )}
+                                </>
+                            ))}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+};
+
+export default CandidateFinishTimes;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { createCandidate, validateCandidate } from './candidates.js';
+
+const EMPTY_DRAFT = { label: '', extraMinutes: '0', restMinutes: '0' };
+
+// --- Candidates Panel Component ---
+// Overlay for adding and removing candidates with special conditions (extra time / rest breaks).
+// Can be used at any point, since arrangements are often confirmed on the day.
+const CandidatesPanel = ({ candidates, onChange, onClose }) => {
+    const [draft, setDraft] = useState(EMPTY_DRAFT);
+    const [errors, setErrors] = useState([]);
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+
+        const candidate = {
+            label: draft.label.trim(),
+            extraMinutes: draft.extraMinutes.trim() === '' ? NaN : Number(draft.extraMinutes),
+            restMinutes: draft.restMinutes.trim() === '' ? NaN : Number(draft.restMinutes),
+        };
+        const validationErrors = validateCandidate(candidate);
+        if (validationErrors.length > 0) {
+            setErrors(validationErrors);
+            return;
+        }
+
+        onChange([...candidates, createCandidate(candidate)]);
+        setDraft(EMPTY_DRAFT);
+        setErrors([]);
+    };
+
+    const removeCandidate = (id) => onChange(candidates.filter(candidate => candidate.id !== id));
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-8 text-left">
+                <div className="flex justify-between items-center mb-4">
+                    <h1 className="text-3xl font-bold text-white">Special Conditions</h1>
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Close
+                    </button>
+                </div>
+
+                {/* Current candidates */}
+                {candidates.length === 0 ? (
+                    <p className="text-gray-400 mb-4">No candidates added.</p>
+                ) : (
+                    <table className="w-full mb-4 text-white">
+                        <thead>
+                            <tr className="text-gray-400">
+                                <th className="text-left font-medium">Name / Seat</th>
+                                <th className="text-right font-medium">Extra</th>
+                                <th className="text-right font-medium">Rest</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {candidates.map(candidate => (
+                                <tr key={candidate.id}>
+                                    <td>{candidate.label}</td>
+                                    <td className="text-right">{candidate.extraMinutes} min</td>
+                                    <td className="text-right">{candidate.restMinutes} min</td>
+                                    <td className="text-right">
+                                        <button onClick={() => removeCandidate(candidate.id)} className="text-gray-400 hover:text-white">
+                                            Remove
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                {/* Add a candidate */}
+                <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-3">
+                    <label className="flex flex-col text-white">
+                        <span>Name / Seat</span>
+                        <input
+                            type="text"
+                            maxLength={40}
+                            value={draft.label}
+                            onChange={(e) => setDraft(prev => ({ ...prev, label: e.target.value }))}
+                            className="w-40 px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                        />
+                    </label>
+                    <label className="flex flex-col text-white">
+                        <span>Extra (min)</span>
+                        <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={draft.extraMinutes}
+                            onChange={(e) => setDraft(prev => ({ ...prev, extraMinutes: e.target.value }))}
+                            className="w-24 px-2 py-1 rounded bg-black border border-gray-600 text-white text-right"
+                        />
+                    </label>
+                    <label className="flex flex-col text-white">
+                        <span>Rest (min)</span>
+                        <input
+                            type="number"
+                            min="0"
+                            step="1"
+                            value={draft.restMinutes}
+                            onChange={(e) => setDraft(prev => ({ ...prev, restMinutes: e.target.value }))}
+                            className="w-24 px-2 py-1 rounded bg-black border border-gray-600 text-white text-right"
+                        />
+                    </label>
+                    <button type="submit" className="px-4 py-1 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800">
+                        Add
+                    </button>
+                </form>
+
+                {/* Validation errors */}
+                {errors.length > 0 && (
+                    <ul className="mt-4 text-red-400">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CandidatesPanel;
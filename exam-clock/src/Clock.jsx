@@ -1,88 +1,48 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
+import ExamTimer from './ExamTimer.jsx';
+import ThemePanel from './ThemePanel.jsx';
+import LanguagePanel from './LanguagePanel.jsx';
+import SharePanel from './SharePanel.jsx';
+import RemoteSyncPanel from './RemoteSyncPanel.jsx';
+import LayoutPanel from './LayoutPanel.jsx';
+import CommandPalette from './CommandPalette.jsx';
+import ConfirmDialog from './ConfirmDialog.jsx';
+import Toasts from './Toasts.jsx';
+import { buildCommands, getShortcut, isKeyboardFocusedButton, isTypingTarget } from './commands.js';
+import { DEFAULT_EXAM_CONFIG } from './examConfig.js';
+import { buildSetup, buildSetupLink, parseSetupJson, readSetupFromHash, MAX_SHARE_LINK_LENGTH } from './share.js';
+import { downloadFile } from './eventLog.js';
+import { DEFAULT_THEME, resolveTheme } from './theme.js';
+import { DEFAULT_REMOTE_SYNC, connectRemoteSync } from './remoteSync.js';
+import { DEFAULT_LAYOUT, LAYOUTS, resolveLayout } from './layouts.js';
+import { DEFAULT_LANGUAGE_SETTING, LANGUAGES, getDisplayLanguages, getLocale } from './i18n.js';
+import {
+    MAX_EXAMS,
+    loadExamIds,
+    saveExamIds,
+    createExamId,
+    loadSavedState,
+    saveState,
+    clearSavedState,
+} from './session.js';
+import { broadcast, subscribe } from './sync.js';
+import useSyncedSetting from './useSyncedSetting.js';
+import useKioskMode from './useKioskMode.js';
+import useMediaQuery from './useMediaQuery.js';
+import { unlockAudio } from './alerts.js';
+import { formatTimeHHMMSS, formatTimeOfDay } from './timeUtils.js';
+import { registerServiceWorker } from './serviceWorker.js';
 
 // --- CONFIGURATION ---
-// Set the default exam duration to 180 minutes (3 hours)
-const DEFAULT_DURATION_MINUTES = 180;
-const TOTAL_DURATION_SECONDS = DEFAULT_DURATION_MINUTES * 60;
-const WARNING_THRESHOLD_SECONDS = 15 * 60; // 15 minutes remaining
-const INITIAL_RESTRICTION_SECONDS = 45 * 60; // 45 minutes elapsed
-
-// NEW: Hard stop the extra time counter at 30 minutes (negative 1800 seconds)
-const EXTRA_TIME_LIMIT_SECONDS = -30 * 60; 
-
-// Placeholder for the University of Auckland brand color
-const BRAND_COLOR = '#00529b'; // Dark Blue
-const ACCENT_COLOR = '#b50e32'; // Red/Maroon
-
-// --- UTILITY FUNCTIONS ---
-
-// Helper to format seconds into H:MM (Used for marker labels)
-const formatTimeHMM = (totalSeconds) => {
-    const absSeconds = Math.abs(totalSeconds);
-    // H: single digit hour (no padStart)
-    const h = Math.floor(absSeconds / 3600); 
-    // MM: two digit minute (padStart)
-    const m = Math.floor((absSeconds % 3600) / 60);
-
-    let timeString = `${h}:${String(m).padStart(2, '0')}`;
-    
-    // Add negative sign if time is negative (overrun)
-    return totalSeconds < 0 ? `-${timeString}` : timeString;
-};
-
-// Helper to format seconds into H:MM:SS (Used for main countdown and overrun message)
-const formatTimeHHMMSS = (totalSeconds) => {
-    const absSeconds = Math.abs(totalSeconds);
-    const h = Math.floor(absSeconds / 3600);
-    const m = Math.floor((absSeconds % 3600) / 60);
-    const s = absSeconds % 60;
-    
-    // H: single digit hour
-    let timeString = `${String(h)}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
-
-    // Add negative sign if time is negative (overrun)
-    return totalSeconds < 0 ? `-${timeString}` : timeString;
-};
-
-// Helper to format seconds into MM:SS (Used for extra time message)
-const formatTimeMMSS = (totalSeconds) => {
-    const absSeconds = Math.abs(totalSeconds);
-    const m = Math.floor(absSeconds / 60);
-    const s = absSeconds % 60;
-    
-    let timeString = `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
-    
-    // Extra time is always negative in the state, so we don't need a '-' sign
-    return timeString;
-};
-
-// Helper to calculate the next half-hour (XX:00 or XX:30)
-const calculateNextHalfHourTime = () => {
-    const now = new Date();
-    let nextStart = new Date(now.getTime());
-
-    const currentMinutes = now.getMinutes();
-
-    if (currentMinutes < 30) {
-        // If minutes are 0-29, the next half hour is at :30
-        nextStart.setMinutes(30);
-    } else {
-        // If minutes are 30-59, the next half hour is the next hour at :00
-        nextStart.setHours(now.getHours() + 1); 
-        nextStart.setMinutes(0);
-    }
-    
-    // Always reset seconds and milliseconds
-    nextStart.setSeconds(0);
-    nextStart.setMilliseconds(0);
-    
-    return nextStart;
-};
+// Exam duration and rule thresholds are set per exam on the setup screen (see examConfig.js)
 
+// How long a toast stays on screen
+const TOAST_MS = 4000;
 
 // --- Digital Clock Component ---
-// This clock displays the real-world current time in 24-hour format (without seconds).
-const DigitalClock = () => {
+// This clock displays the real-world current time in 24-hour format (without seconds),
+// in the display language's locale.
+const DigitalClock = ({ color, locale }) => {
     const [time, setTime] = useState(new Date());
 
     useEffect(() => {
@@ -91,404 +51,784 @@ const DigitalClock = () => {
     }, []);
 
     // Format time as HH:MM (24-hour format)
-    const formattedTime = time.toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: false // Enforce 24-hour format
-    });
+    const formattedTime = formatTimeOfDay(time, locale);
 
     return (
-        // Renders time as a single string (Lexend font)
-        <div className="absolute top-8 left-8 text-6xl sm:text-8xl font-extrabold text-white z-10">
+        // Renders time as a single string (in the theme's font)
+        <div className="absolute top-8 left-8 text-6xl sm:text-8xl font-extrabold z-10" style={{ color }}>
             {formattedTime}
         </div>
     );
 };
 
 
+// Which screen this window shows, from ?view= in the URL:
+//   standalone (default): the projected clock with its own faded controls
+//   display:              the projected clock with no controls, driven by a controller window
+//   controller:           every exam's full state, controls and event log
+const VIEW_MODES = ['standalone', 'display', 'controller'];
+
+const getViewFromUrl = () => {
+    const view = new URLSearchParams(window.location.search).get('view');
+    return VIEW_MODES.includes(view) ? view : 'standalone';
+};
+
 // --- Main App Component ---
+// Shares the DigitalClock and the bottom control bar between one or more exams.
 const App = () => {
-    // timeRemainingSeconds is the core state
-    const [timeRemainingSeconds, setTimeRemainingSeconds] = useState(TOTAL_DURATION_SECONDS);
-    const [isPaused, setIsPaused] = useState(true);
-    const [isFinished, setIsFinished] = useState(false);
-    
-    // New State for Auto-Start Feature
-    const [isAutoStartEnabled, setIsAutoStartEnabled] = useState(false);
-    const [autoStartTime, setAutoStartTime] = useState(null); // Stores the Date object for scheduled start
-    
-    // Existing State for Extra Time
-    const [isExtraTimeEnabled, setIsExtraTimeEnabled] = useState(false);
-    
-    // Ref for the main timer loop
-    const intervalRef = useRef(null);
-    // Ref for the auto-start check loop
-    const checkIntervalRef = useRef(null);
-
-    // Function to handle the actual countdown logic
-    const tick = useCallback(() => {
-        setTimeRemainingSeconds(prevTime => {
-            const newTime = prevTime - 1;
-            
-            // Check 1: Extra Time OFF - Hard Stop at Zero
-            if (!isExtraTimeEnabled && newTime < 0) {
-                clearInterval(intervalRef.current);
-                intervalRef.current = null;
-                setIsPaused(true);
-                setIsFinished(true);
-                return 0; // Fix time at 0
-            }
+    const [view, setView] = useState(getViewFromUrl);
+    // Ids of the exams on screen (each ExamTimer saves its own state under its id)
+    const [examIds, setExamIds] = useState(() => loadExamIds() ?? [createExamId()]);
+    // The bottom bar's DOM node, so each ExamTimer can portal its controls into it
+    const [controlsContainer, setControlsContainer] = useState(null);
+    // The warning stack's DOM node, for each ExamTimer's leave warnings
+    const [warningsContainer, setWarningsContainer] = useState(null);
+    // JSON of the exam list last saved or received, so it isn't echoed between windows
+    const lastSyncedIdsRef = useRef(null);
+    // Silences alert sounds on every window (the controller can mute the projected display)
+    const [isMuted, setIsMuted] = useSyncedSetting('muted', false);
+    // Branding profile, display mode and font, shared by every window (see theme.js)
+    const [themeSetting, setThemeSetting] = useSyncedSetting('theme', DEFAULT_THEME);
+    const [isThemeOpen, setIsThemeOpen] = useState(false);
+    // A computer set to ask for more contrast gets the high contrast display mode
+    const prefersMoreContrast = useMediaQuery('(prefers-contrast: more)');
+    const theme = resolveTheme(prefersMoreContrast ? { ...themeSetting, mode: 'high-contrast' } : themeSetting);
+    // Language(s) of the projected screen, shared by every window (see i18n.js)
+    const [languageSetting, setLanguageSetting] = useSyncedSetting('language', DEFAULT_LANGUAGE_SETTING);
+    const [isLanguageOpen, setIsLanguageOpen] = useState(false);
+    const languages = getDisplayLanguages(languageSetting);
+    // How the projected screen draws the exams, shared by every window (see layouts.js)
+    const [layoutSetting, setLayoutSetting] = useSyncedSetting('layout', DEFAULT_LAYOUT);
+    const [isLayoutOpen, setIsLayoutOpen] = useState(false);
+    const layout = resolveLayout(layoutSetting);
+    const [isShareOpen, setIsShareOpen] = useState(false);
+    // Problems with the setup link this window was opened with
+    const [linkErrors, setLinkErrors] = useState([]);
+    // Each exam's session status, so an app update is never offered mid-countdown
+    const [examStatuses, setExamStatuses] = useState({});
+    // Applies a downloaded app update (reloads every window); null until one is ready
+    const [applyUpdate, setApplyUpdate] = useState(null);
+    // Link to clocks in other rooms, shared by every window (see remoteSync.js)
+    const [remoteSync, setRemoteSync] = useSyncedSetting('remoteSync', DEFAULT_REMOTE_SYNC);
+    const [isRemoteSyncOpen, setIsRemoteSyncOpen] = useState(false);
+    // The link's state; the projected display hears it from the window holding the link
+    const [remoteStatus, setRemoteStatus] = useState(null);
+    // Each exam's actions for the shortcuts and palette, by examId (see commands.js)
+    const examCommandsRef = useRef({});
+    // The exam the shortcuts control when there are several (number keys pick it)
+    const [shortcutExamId, setShortcutExamId] = useState(null);
+    const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+    // Command waiting for confirmation: { id, label, confirmLabel, isDestructive, value }
+    const [pendingCommand, setPendingCommand] = useState(null);
+    const [toasts, setToasts] = useState([]);
+    const isAnyExamRunning = examIds.some(id => examStatuses[id] === 'running');
+    // Fullscreen, wake lock and hidden cursor for the projected screen (see useKioskMode.js)
+    const kiosk = useKioskMode(isAnyExamRunning);
+    // The projected display's kiosk state, as the controller hears it
+    const [displayKioskStatus, setDisplayKioskStatus] = useState(null);
+
+    // Browsers block audio until the page has been interacted with, so unlock it on the first input
+    useEffect(() => {
+        const handleFirstInput = () => {
+            unlockAudio();
+            window.removeEventListener('pointerdown', handleFirstInput);
+            window.removeEventListener('keydown', handleFirstInput);
+        };
+        window.addEventListener('pointerdown', handleFirstInput);
+        window.addEventListener('keydown', handleFirstInput);
+        return () => {
+            window.removeEventListener('pointerdown', handleFirstInput);
+            window.removeEventListener('keydown', handleFirstInput);
+        };
+    }, []);
 
-            // Check 2: Extra Time ON - Hard Stop at Limit (-30:00)
-            if (isExtraTimeEnabled && newTime <= EXTRA_TIME_LIMIT_SECONDS) {
-                clearInterval(intervalRef.current);
-                intervalRef.current = null;
-                setIsPaused(true);
-                setIsFinished(true);
-                return EXTRA_TIME_LIMIT_SECONDS; // Fix time at limit
-            }
+    // Offline support; a new version waits until the invigilator applies it
+    useEffect(() => registerServiceWorker((apply) => setApplyUpdate(() => apply)), []);
 
-            // Check 3: Main Finish Notification (Always happens at 0)
-            if (newTime <= 0 && prevTime > 0) {
-                setIsFinished(true);
-            }
-            
-            // Allow timer to continue counting (even if negative and extra time is enabled)
-            return newTime;
+    // The standalone clock or the controller holds the link, never the projected display
+    const { isEnabled: isRemoteSyncEnabled, url: remoteUrl, room: remoteRoom, role: remoteRole } = remoteSync;
+    useEffect(() => {
+        if (view === 'display' || !isRemoteSyncEnabled) return;
+
+        const disconnect = connectRemoteSync({ url: remoteUrl, room: remoteRoom, role: remoteRole, onStatus: setRemoteStatus });
+        return () => {
+            disconnect();
+            setRemoteStatus(null);
+        };
+    }, [view, isRemoteSyncEnabled, remoteUrl, remoteRoom, remoteRole]);
+
+    useEffect(() => {
+        if (view !== 'display') return;
+        return subscribe((message) => {
+            if (message.type === 'remote-status') setRemoteStatus(message.status);
         });
-    }, [isExtraTimeEnabled]);
-
-    // Start/Pause Toggle (now wrapped in useCallback due to auto-start dependency)
-    const toggleTimer = useCallback(() => {
-        if (isPaused) {
-            // Start the timer only if not already running
-            if (!intervalRef.current) {
-                intervalRef.current = setInterval(tick, 1000);
-            }
-            setIsPaused(false);
-        } else {
-            // Pause the timer
-            if (intervalRef.current) {
-                clearInterval(intervalRef.current);
-                intervalRef.current = null;
-            }
-            setIsPaused(true);
-        }
-    }, [isPaused, tick]);
+    }, [view]);
 
-    // Reset Function
-    const resetTimer = () => {
-        if (intervalRef.current) {
-            clearInterval(intervalRef.current);
-            intervalRef.current = null;
+    // The controller warns when the projected display may go dark
+    const { isKiosk, wakeLock, isHidden } = kiosk;
+    useEffect(() => {
+        if (view === 'controller') {
+            return subscribe((message) => {
+                if (message.type === 'kiosk-status') setDisplayKioskStatus(message.status);
+            });
         }
-        // Clear auto-start schedule on reset
-        if (checkIntervalRef.current) {
-            clearInterval(checkIntervalRef.current);
-            checkIntervalRef.current = null;
+        broadcast({ type: 'kiosk-status', status: { isKiosk, wakeLock, isHidden } });
+    }, [view, isKiosk, wakeLock, isHidden]);
+
+    const registerExamCommands = useCallback((examId, commands) => {
+        if (commands) {
+            examCommandsRef.current[examId] = commands;
+        } else {
+            delete examCommandsRef.current[examId];
         }
-        setIsAutoStartEnabled(false);
-        setAutoStartTime(null);
+    }, []);
 
-        setTimeRemainingSeconds(TOTAL_DURATION_SECONDS);
-        setIsPaused(true);
-        setIsFinished(false);
+    const showToast = useCallback((text) => {
+        const id = `${Date.now()}-${Math.random()}`;
+        setToasts(prev => [...prev, { id, text }]);
+        setTimeout(() => setToasts(prev => prev.filter(toast => toast.id !== id)), TOAST_MS);
+    }, []);
+
+    const toggleFullscreen = () => {
+        const request = document.fullscreenElement
+            ? document.exitFullscreen()
+            : document.documentElement.requestFullscreen?.();
+        Promise.resolve(request).catch(() => showToast('Fullscreen is not available here'));
+    };
+
+    // Every command as things stand right now (exam actions change with every tick)
+    const getCommands = () => buildCommands(
+        examIds.filter(id => examCommandsRef.current[id]).map(id => [id, examCommandsRef.current[id]]),
+        {
+            isMuted,
+            onToggleMute: () => setIsMuted(prev => !prev),
+            isFullscreen: Boolean(document.fullscreenElement),
+            onToggleFullscreen: toggleFullscreen,
+            isKiosk,
+            onToggleKiosk: view === 'controller' ? null : (isKiosk ? kiosk.exitKiosk : kiosk.enterKiosk),
+        },
+    );
+
+    // Ask for confirmation; nothing runs until the invigilator confirms
+    const requestCommand = (command, value) => {
+        setPendingCommand({
+            id: command.id,
+            label: command.label,
+            confirmLabel: command.input ? command.input.describe(value) : command.label,
+            isDestructive: Boolean(command.isDestructive),
+            value,
+        });
     };
-    
-    // --- Auto-Start Logic ---
-    useEffect(() => {
-        // Clear interval and schedule if feature is off, timer is running, or exam is finished
-        if (!isAutoStartEnabled || !isPaused || isFinished) {
-            if (checkIntervalRef.current) {
-                clearInterval(checkIntervalRef.current);
-                checkIntervalRef.current = null;
-            }
-            setAutoStartTime(null);
-            return;
-        }
 
-        // If enabled and paused, calculate the target time only once
-        if (!autoStartTime) {
-            setAutoStartTime(calculateNextHalfHourTime());
+    // Runs the confirmed command, unless the exam has changed since (e.g. Pause has become Resume)
+    const confirmPendingCommand = () => {
+        const command = getCommands().find(c => c.id === pendingCommand.id);
+        setPendingCommand(null);
+        if (!command || command.isDisabled || command.label !== pendingCommand.label) {
+            showToast('Nothing done: the exam changed in the meantime');
             return;
         }
+        showToast(command.run(pendingCommand.value));
+    };
 
-        // Start a fast interval to check against real-time
-        if (!checkIntervalRef.current) {
-            checkIntervalRef.current = setInterval(() => {
-                const now = new Date();
-                
-                // If current time is greater than or equal to the scheduled auto-start time
-                if (now.getTime() >= autoStartTime.getTime()) {
-                    // 1. Clear the check interval
-                    clearInterval(checkIntervalRef.current);
-                    checkIntervalRef.current = null;
-                    
-                    // 2. Stop auto-start feature once triggered
-                    setIsAutoStartEnabled(false); 
-
-                    // 3. Trigger the main timer start
-                    if (isPaused && !intervalRef.current) {
-                        toggleTimer(); // Starts the main timer and sets isPaused=false
-                    }
+    // Keyboard shortcuts (see commands.js), on the screens with controls. Rebound on every
+    // render so the handler always sees the current exams.
+    useEffect(() => {
+        if (view === 'display' || isPaletteOpen || pendingCommand) return;
+
+        const handleKeyDown = (event) => {
+            if (event.repeat || isTypingTarget(event.target)) return;
+            // A button reached with Tab takes Space itself, as usual
+            if (event.key === ' ' && isKeyboardFocusedButton(event.target)) return;
+            const shortcut = getShortcut(event);
+            if (!shortcut) return;
+            event.preventDefault();
+
+            if (shortcut === 'palette') {
+                setIsPaletteOpen(true);
+                return;
+            }
+            if (shortcut.startsWith('select-')) {
+                const examId = examIds[Number(shortcut.slice('select-'.length)) - 1];
+                if (examId && examIds.length > 1) {
+                    setShortcutExamId(examId);
+                    showToast(`Shortcuts now control ${examCommandsRef.current[examId]?.label ?? 'that exam'}`);
                 }
-            }, 500); // Check every half second
-        }
-
-        // Cleanup function for this effect
-        return () => {
-            if (checkIntervalRef.current) {
-                clearInterval(checkIntervalRef.current);
-                checkIntervalRef.current = null;
+                return;
             }
-        };
-    }, [isAutoStartEnabled, isPaused, isFinished, autoStartTime, toggleTimer]);
 
-
-    // Cleanup interval on unmount
-    useEffect(() => {
-        return () => {
-            if (intervalRef.current) {
-                clearInterval(intervalRef.current);
+            const targetExamId = examIds.includes(shortcutExamId) ? shortcutExamId : examIds[0];
+            const command = getCommands().find(c => c.shortcut === shortcut && (!c.examId || c.examId === targetExamId));
+            if (!command) return;
+            if (command.isDisabled) {
+                showToast(`${command.label}: not available right now`);
+                return;
             }
-            if (checkIntervalRef.current) {
-                clearInterval(checkIntervalRef.current);
+            requestCommand(command);
+        };
+        // A button focused by a click would also act on Space when the key comes up, skipping the confirmation
+        const handleKeyUp = (event) => {
+            if (event.key === ' ' && !isTypingTarget(event.target) && !isKeyboardFocusedButton(event.target)) {
+                event.preventDefault();
             }
         };
+        window.addEventListener('keydown', handleKeyDown);
+        window.addEventListener('keyup', handleKeyUp);
+        return () => {
+            window.removeEventListener('keydown', handleKeyDown);
+            window.removeEventListener('keyup', handleKeyUp);
+        };
+    });
+
+    const reportExamStatus = useCallback((examId, status) => {
+        setExamStatuses(prev => (prev[examId] === status ? prev : { ...prev, [examId]: status }));
     }, []);
 
-    // Progress Calculation
-    const timeElapsedSeconds = TOTAL_DURATION_SECONDS - timeRemainingSeconds;
-    // Cap progress at 100% (when remaining time hits 0)
-    const progressPercent = Math.min(100, (timeElapsedSeconds / TOTAL_DURATION_SECONDS) * 100);
-
-    // Dynamic states
-    const isWarning = timeRemainingSeconds > 0 && timeRemainingSeconds <= WARNING_THRESHOLD_SECONDS;
-    const isRestricted = timeElapsedSeconds > 0 && timeElapsedSeconds <= INITIAL_RESTRICTION_SECONDS; 
-    
-    // Dynamic styles
-    // Countdown timer color logic remains the same (red/gray)
-    const digitalColor = isFinished ? 'text-gray-500' : 'text-red-400';
-    
-    // Determine if the manual Start button should be disabled
-    const isStartButtonDisabled = isAutoStartEnabled;
-    
-    // --- Vertical Timeline Label Rendering Function ---
-    const renderVerticalTimelineLabels = () => {
-        const labels = [];
-        const intervalMins = 15; // 15-minute markers as requested
-        
-        for (let min = 0; min <= DEFAULT_DURATION_MINUTES; min += intervalMins) {
-            const percent = (min / DEFAULT_DURATION_MINUTES) * 100;
-            const timeSeconds = min * 60;
-            
-            // Use the H:MM format helper
-            const timeLabel = formatTimeHMM(timeSeconds).replace('-', ''); // No negative sign for timeline markers
-
-            // All 15-minute markers are treated as major labels
-            const isMajorLabel = true; 
-
-            labels.push({ 
-                // UPDATED: Check for 'Start' (min === 0) first, then 'Finish', then the formatted time
-                time: min === 0 ? 'Start' : (min === DEFAULT_DURATION_MINUTES ? 'Finish' : timeLabel), 
-                percent, 
-                isMajorLabel,
-                markerTimeSeconds: timeSeconds // Store marker time in seconds
-            });
+    useEffect(() => {
+        const json = JSON.stringify(examIds);
+        if (json === lastSyncedIdsRef.current) return;
+
+        lastSyncedIdsRef.current = json;
+        saveExamIds(examIds);
+        broadcast({ type: 'exam-list', examIds });
+    }, [examIds]);
+
+    // Adopt exams added or removed in another window
+    useEffect(() => subscribe((message) => {
+        if (message.type !== 'exam-list' || !Array.isArray(message.examIds)) return;
+
+        const json = JSON.stringify(message.examIds);
+        if (json === lastSyncedIdsRef.current) return;
+        lastSyncedIdsRef.current = json;
+        setExamIds(message.examIds);
+    }), []);
+
+    // Replace every exam, the theme and the language with a shared setup (see share.js).
+    // Returns a list of problems; an exam that is under way is never replaced.
+    const applySetup = useCallback((setup) => {
+        const isExamUnderway = examIds.some(id => (loadSavedState(id)?.session?.status ?? 'idle') !== 'idle');
+        if (isExamUnderway) {
+            return ['An exam has been started on this screen. Reset it before loading a new setup.'];
         }
-        
-        return labels.map((label, index) => {
-            const topPosition = label.percent;
-            
-            // Check if the marker time has been passed/consumed
-            let isPassed = label.markerTimeSeconds <= timeElapsedSeconds;
-            
-            // FIX: The 0:00 marker should only be marked as passed if timeElapsedSeconds > 0.
-            // Also apply this logic if the label is 'Start'
-            if (label.markerTimeSeconds === 0) {
-                isPassed = timeElapsedSeconds > 0;
-            }
-            
-            // Passed marker remains green-400. Unpassed marker is now pure white.
-            const labelClasses = `text-3xl font-medium whitespace-nowrap block ${isPassed ? 'text-green-400' : 'text-white'}`;
-            const dotColor = isPassed ? 'bg-green-500' : 'bg-white'; // Dot color defined for dot rendering
-            
-            return (
-                <div 
-                    key={index}
-                    // Absolute positioning within the container
-                    className="absolute w-full flex items-center justify-end"
-                    // Corrected the closing quote for the transform style value from a backtick to a single quote.
-                    style={{ top: `${topPosition}%`, transform: 'translateY(-50%)' }} 
-                >
-                    {/* Text Label (H2 formatted style - now text-3xl) */}
-                    <span 
-                        className={`mr-4 ${labelClasses}`}
-                    >
-                        {/* Renders time as a simple string */}
-                        {label.time}
-                    </span>
-                    
-                    {/* Marker Indicator: Small circle/dot (REVERTED TO DOT) */}
-                    <div 
-                        className={`w-4 h-4 rounded-full ${dotColor}`} // Increased dot size slightly for visibility
-                    ></div>
-                </div>
-            );
+
+        const nextIds = setup.exams.map(({ config, isExtraTimeEnabled, isAutoStartEnabled }) => {
+            const examId = createExamId();
+            saveState(examId, { config, isExtraTimeEnabled, isAutoStartEnabled });
+            return examId;
         });
+        examIds.forEach(clearSavedState);
+        setExamIds(nextIds);
+        setThemeSetting(setup.theme);
+        setLanguageSetting(setup.language);
+        return [];
+    }, [examIds, setThemeSetting, setLanguageSetting]);
+
+    // Apply a setup link on load (it is then removed from the address bar, so this only happens once).
+    // A link pasted into an open tab only changes the hash, so reload to apply it the same way.
+    useEffect(() => {
+        const result = readSetupFromHash(window.location.hash);
+        if (result) {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+            const errors = result.setup ? applySetup(result.setup) : result.errors;
+            if (errors.length > 0) {
+                setLinkErrors(errors);
+                setIsShareOpen(true);
+            }
+        }
+
+        const handleHashChange = () => {
+            if (readSetupFromHash(window.location.hash)) window.location.reload();
+        };
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, [applySetup]);
+
+    // The current setup, from the state each exam has saved
+    const getCurrentSetup = () => buildSetup({
+        exams: examIds.map(id => {
+            const saved = loadSavedState(id);
+            return {
+                config: { ...DEFAULT_EXAM_CONFIG, ...saved?.config },
+                isExtraTimeEnabled: saved?.isExtraTimeEnabled ?? false,
+                isAutoStartEnabled: saved?.isAutoStartEnabled ?? false,
+            };
+        }),
+        theme: themeSetting,
+        language: languageSetting,
+    });
+
+    const addExam = () => {
+        setExamIds(prev => (prev.length < MAX_EXAMS ? [...prev, createExamId()] : prev));
+    };
+
+    const removeExam = (examId) => {
+        clearSavedState(examId);
+        setExamIds(prev => prev.filter(id => id !== examId));
+    };
+
+    // Open the controller in another window and turn this one into the bare projected display
+    const openController = () => {
+        const url = new URL(window.location.href);
+        url.searchParams.set('view', 'controller');
+        window.open(url.toString(), 'examclock-controller');
+
+        url.searchParams.set('view', 'display');
+        window.history.replaceState(null, '', url.toString());
+        setView('display');
     };
 
+    const isMultiExam = examIds.length > 1;
+
+    const renderExamTimers = () => examIds.map((examId, index) => (
+        <ExamTimer
+            key={examId}
+            examId={examId}
+            view={view}
+            isMuted={isMuted}
+            theme={theme}
+            languages={languages}
+            isCompact={isMultiExam}
+            layout={layout}
+            controlsContainer={controlsContainer}
+            warningsContainer={warningsContainer}
+            fallbackLabel={`Exam ${index + 1}`}
+            onStatusChange={reportExamStatus}
+            onCommandsChange={registerExamCommands}
+            onRemove={isMultiExam ? () => removeExam(examId) : null}
+        />
+    ));
+
+    // Theme picker (never on the projected display)
+    const themePanel = isThemeOpen && view !== 'display' && (
+        <ThemePanel
+            theme={themeSetting}
+            onSave={(nextTheme) => {
+                setThemeSetting(nextTheme);
+                setIsThemeOpen(false);
+            }}
+            onClose={() => setIsThemeOpen(false)}
+        />
+    );
+
+    // Display language picker (never on the projected display)
+    const languagePanel = isLanguageOpen && view !== 'display' && (
+        <LanguagePanel
+            language={languageSetting}
+            onSave={(nextLanguage) => {
+                setLanguageSetting(nextLanguage);
+                setIsLanguageOpen(false);
+            }}
+            onClose={() => setIsLanguageOpen(false)}
+        />
+    );
+
+    // Display layout picker (never on the projected display)
+    const layoutPanel = isLayoutOpen && view !== 'display' && (
+        <LayoutPanel
+            layout={layout}
+            onSave={(nextLayout) => {
+                setLayoutSetting(nextLayout);
+                setIsLayoutOpen(false);
+            }}
+            onClose={() => setIsLayoutOpen(false)}
+        />
+    );
+
+    // Multi-room sync settings (never on the projected display)
+    const remoteSyncPanel = isRemoteSyncOpen && view !== 'display' && (
+        <RemoteSyncPanel
+            remoteSync={remoteSync}
+            status={remoteStatus}
+            onSave={setRemoteSync}
+            onClose={() => setIsRemoteSyncOpen(false)}
+        />
+    );
+
+    // Shortcut confirmation, command palette and toasts (none on the projected display)
+    const commandOverlays = view !== 'display' && (
+        <>
+            {isPaletteOpen && (
+                <CommandPalette
+                    commands={getCommands()}
+                    onChoose={(command, value) => {
+                        setIsPaletteOpen(false);
+                        requestCommand(command, value);
+                    }}
+                    onClose={() => setIsPaletteOpen(false)}
+                />
+            )}
+            {pendingCommand && (
+                <ConfirmDialog
+                    label={pendingCommand.confirmLabel}
+                    isDestructive={pendingCommand.isDestructive}
+                    onConfirm={confirmPendingCommand}
+                    onCancel={() => setPendingCommand(null)}
+                />
+            )}
+            <Toasts toasts={toasts} />
+        </>
+    );
+
+    // Only offered while no countdown is running (reloading mid-exam would blank the screen)
+    const isUpdateOffered = applyUpdate !== null && view !== 'display' && !isAnyExamRunning;
+
+    // Problems that could leave the projected screen dark or out of date mid-exam (kiosk mode only)
+    const kioskWarnings = [
+        wakeLock === 'lost' && { text: 'Screen wake lock lost: the display may go to sleep.', action: 'Retry', onAction: kiosk.retryWakeLock },
+        // Only while the invigilator is at the mouse; there is nothing to retry
+        wakeLock === 'unsupported' && !kiosk.isIdle && { text: 'This browser can\'t keep the screen awake. Check the computer\'s sleep settings.' },
+        kiosk.hiddenWhileRunningMs !== null && {
+            text: `The clock was hidden for ${formatTimeHHMMSS(Math.round(kiosk.hiddenWhileRunningMs / 1000))} while an exam was running.`,
+            action: 'Dismiss',
+            onAction: kiosk.dismissHiddenWarning,
+        },
+    ].filter(Boolean);
+
+    // The same problems on the projected display, for the controller
+    const displayWarnings = displayKioskStatus?.isKiosk ? [
+        displayKioskStatus.wakeLock === 'lost' && 'Projected display: wake lock lost, the screen may go to sleep.',
+        displayKioskStatus.isHidden && 'Projected display: the clock tab is hidden, so the exam isn\'t on screen.',
+    ].filter(Boolean) : [];
+
+    // Kiosk mode hides the cursor and controls while the mouse is still
+    const areControlsHidden = isKiosk && kiosk.isIdle;
+    const kioskButton = (
+        <button
+            onClick={isKiosk ? kiosk.exitKiosk : kiosk.enterKiosk}
+            className="font-semibold faded-control"
+            style={{ color: theme.text }}
+        >
+            {isKiosk ? 'Exit Kiosk' : 'Kiosk Mode'}
+        </button>
+    );
+
+    // Setup link and file (never on the projected display, unless a link failed to load there)
+    const shareLink = isShareOpen && buildSetupLink(getCurrentSetup(), window.location.href);
+    const sharePanel = isShareOpen && (view !== 'display' || linkErrors.length > 0) && (
+        <SharePanel
+            link={shareLink}
+            isLinkTooLong={shareLink.length > MAX_SHARE_LINK_LENGTH}
+            initialErrors={linkErrors}
+            onDownload={() => {
+                const date = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD
+                downloadFile(`exam-clock-setup-${date}.json`, JSON.stringify(getCurrentSetup(), null, 2), 'application/json');
+            }}
+            onImport={(text) => {
+                const { setup, errors } = parseSetupJson(text);
+                return setup ? applySetup(setup) : errors;
+            }}
+            onClose={() => {
+                setIsShareOpen(false);
+                setLinkErrors([]);
+            }}
+        />
+    );
+
+    if (view === 'controller') {
+        return (
+            <div className="min-h-screen bg-black font-sans p-4 sm:p-8 text-white">
+                <header className="flex items-center justify-between mb-8">
+                    <h1 className="text-3xl font-bold">Exam Clock Controller</h1>
+                    <div className="flex gap-3">
+                        {isUpdateOffered && (
+                            <button
+                                onClick={applyUpdate}
+                                className="px-4 py-2 rounded border border-yellow-400 font-semibold text-yellow-400 hover:bg-gray-800"
+                            >
+                                Update Available: Reload
+                            </button>
+                        )}
+                        <button
+                            onClick={() => setIsMuted(prev => !prev)}
+                            className="px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800"
+                        >
+                            Sound: {isMuted ? 'MUTED' : 'ON'}
+                        </button>
+                        <button
+                            onClick={() => setIsThemeOpen(true)}
+                            className="px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800"
+                        >
+                            Theme: {theme.name || 'Custom'}
+                        </button>
+                        <button
+                            onClick={() => setIsLanguageOpen(true)}
+                            className="px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800"
+                        >
+                            Language: {languages.map(language => LANGUAGES[language].label).join(' + ')}
+                        </button>
+                        <button
+                            onClick={() => setIsLayoutOpen(true)}
+                            className="px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800"
+                        >
+                            Layout: {LAYOUTS[layout].label}
+                        </button>
+                        <button
+                            onClick={() => setIsShareOpen(true)}
+                            className="px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800"
+                        >
+                            Share Setup
+                        </button>
+                        <button
+                            onClick={() => setIsPaletteOpen(true)}
+                            className="px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800"
+                        >
+                            Commands (Ctrl+K)
+                        </button>
+                        <button
+                            onClick={() => setIsRemoteSyncOpen(true)}
+                            className={`px-4 py-2 rounded border font-semibold hover:bg-gray-800 ${isRemoteSyncEnabled && remoteStatus?.state !== 'connected' ? 'border-red-500 text-red-400' : 'border-gray-600 text-white'}`}
+                        >
+                            Sync: {isRemoteSyncEnabled ? `${remoteRoom} ${remoteStatus?.state === 'connected' ? 'connected' : 'offline'}` : 'Off'}
+                        </button>
+                        {examIds.length < MAX_EXAMS && (
+                            <button
+                                onClick={addExam}
+                                className="px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800"
+                            >
+                                Add Exam
+                            </button>
+                        )}
+                    </div>
+                </header>
+
+                {displayWarnings.length > 0 && (
+                    <ul className="mb-8 p-4 rounded border border-red-500 text-red-400 text-lg font-semibold">
+                        {displayWarnings.map(warning => <li key={warning}>{warning}</li>)}
+                    </ul>
+                )}
+
+                {/* One card per exam */}
+                <main className="flex flex-wrap gap-8 items-start">
+                    {renderExamTimers()}
+                </main>
+
+                {themePanel}
+                {languagePanel}
+                {layoutPanel}
+                {sharePanel}
+                {remoteSyncPanel}
+                {commandOverlays}
+            </div>
+        );
+    }
 
     return (
-        // Full black background and pure white default text
-        <div className="min-h-screen bg-black font-sans p-4 sm:p-8 text-white relative">
+        // Background and default text colour come from the theme (black and white by default)
+        <div
+            className="min-h-screen p-4 sm:p-8 relative"
+            style={{
+                backgroundColor: theme.background,
+                color: theme.text,
+                fontFamily: theme.fontFamily,
+                cursor: areControlsHidden ? 'none' : undefined,
+            }}
+        >
             <style>
                 {`
-                @import url('https://fonts.googleapis.com/css2?family=Lexend:wght@200;400;600;700;800&display=swap');
-                body { font-family: 'Lexend', sans-serif; }
+                body {
+                    font-family: ${theme.fontFamily};
+                    background-color: ${theme.background};
+                }
                 .logo-bg {
-                    background-color: ${BRAND_COLOR};
+                    background-color: ${theme.brandColor};
+                }
+                @keyframes exam-alert-flash {
+                    0%, 50%, 100% { opacity: 0; }
+                    25%, 75% { opacity: 0.9; }
+                }
+                .exam-alert-flash {
+                    animation: exam-alert-flash 1.5s ease-in-out 2;
+                    opacity: 0;
+                }
+                /* Controls on the projected screen: faded so they don't distract candidates, but
+                   still readable on the theme background (at least 4.5:1), and outlined when
+                   reached with the keyboard */
+                .faded-control {
+                    opacity: 0.6;
+                    transition: opacity 0.2s;
+                }
+                .faded-control.is-active {
+                    opacity: 0.85;
+                }
+                .faded-control:hover,
+                .faded-control:focus-visible {
+                    opacity: 1;
+                }
+                .faded-control:focus-visible {
+                    outline: 3px solid currentColor;
+                    outline-offset: 4px;
+                }
+                .faded-control:disabled {
+                    opacity: 0.3;
+                    cursor: default;
+                }
+                @media (prefers-contrast: more) {
+                    .faded-control,
+                    .faded-control.is-active {
+                        opacity: 1;
+                    }
+                    .faded-control:disabled {
+                        opacity: 0.6;
+                    }
+                }
+                /* No flashing or fading: alerts show as the banner alone */
+                @media (prefers-reduced-motion: reduce) {
+                    .exam-alert-flash {
+                        animation: none;
+                    }
+                    *, *::before, *::after {
+                        transition-duration: 0s !important;
+                    }
                 }
                 `}
             </style>
 
             {/* 1. TOP LEFT CLOCK */}
-            <DigitalClock />
-
-            {/* Main Content Area: Added pt-40 to push content below the absolute elements. pb-20 added for the fixed button bar */}
-            <main className="flex flex-col items-center pt-40 pb-20"> 
-
-                {/* Horizontal Flex Container for Vertical Bar and Clock/Timer */}
-                <div className="flex flex-col md:flex-row items-center md:items-start justify-center w-full max-w-4xl mx-auto pt-8">
-
-                    {/* 1. Vertical Timeline (Left Side) */}
-                    <div className="w-full md:w-32 h-[600px] flex justify-center md:justify-end items-start md:mr-16 mb-8 md:mb-0">
-                        {/* Timeline container: Relative for absolute positioning of labels */}
-                        <div className="w-48 h-full relative"> 
-                            
-                            {/* Timeline Labels and Ticks */}
-                            {renderVerticalTimelineLabels()}
-                        </div>
+            <DigitalClock color={theme.text} locale={getLocale(languages[0])} />
+
+            {/* Institution logo (custom profile only) on a brand-coloured tile */}
+            {theme.logo && (
+                <div className="absolute top-8 left-1/2 -translate-x-1/2 logo-bg rounded-lg p-2 z-10">
+                    <img src={theme.logo} alt={theme.name ? `${theme.name} logo` : 'Logo'} className="h-16 sm:h-20" />
+                </div>
+            )}
+
+            {/* Warnings for the invigilator, stacked at the top */}
+            <div className="fixed top-2 left-1/2 -translate-x-1/2 flex flex-col items-center space-y-2 z-50">
+                {/* The room is meant to be following (or leading) other rooms but the link is down */}
+                {isRemoteSyncEnabled && remoteStatus?.state !== 'connected' && (
+                    <div className="px-4 py-1 rounded bg-red-700 text-white font-semibold">
+                        {remoteStatus?.state === 'disconnected' ? 'Sync disconnected: reconnecting…' : 'Sync connecting…'}
                     </div>
+                )}
+                {kioskWarnings.map(warning => (
+                    <div key={warning.text} className="flex items-center px-4 py-1 rounded bg-red-700 text-white font-semibold">
+                        {warning.text}
+                        {warning.action && (
+                            <button onClick={warning.onAction} className="ml-4 underline">
+                                {warning.action}
+                            </button>
+                        )}
+                    </div>
+                ))}
+                {/* Leave warnings from each exam (see ExamTimer.jsx) */}
+                <div ref={setWarningsContainer} className="flex flex-col items-center space-y-2"></div>
+            </div>
+
+            {/* 2. TOP RIGHT: add another exam, or hand the controls to a separate window */}
+            {view === 'standalone' && (
+                <div className={`absolute top-8 right-8 flex space-x-8 z-10 transition-opacity duration-500 ${areControlsHidden ? 'opacity-0 pointer-events-none' : ''}`}>
+                    {/* Less faded than the other controls so it gets noticed between exams */}
+                    {isUpdateOffered && (
+                        <button
+                            onClick={applyUpdate}
+                            className="font-semibold faded-control is-active"
+                            style={{ color: theme.reading }}
+                        >
+                            Update Available: Reload
+                        </button>
+                    )}
+                    <button
+                        onClick={() => setIsMuted(prev => !prev)}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Sound: {isMuted ? 'MUTED' : 'ON'}
+                    </button>
+                    <button
+                        onClick={() => setIsThemeOpen(true)}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Theme
+                    </button>
+                    <button
+                        onClick={() => setIsLanguageOpen(true)}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Language
+                    </button>
+                    <button
+                        onClick={() => setIsLayoutOpen(true)}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Layout
+                    </button>
+                    <button
+                        onClick={() => setIsShareOpen(true)}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Share
+                    </button>
+                    <button
+                        onClick={() => setIsPaletteOpen(true)}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Commands
+                    </button>
+                    <button
+                        onClick={() => setIsRemoteSyncOpen(true)}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Sync
+                    </button>
+                    {kioskButton}
+                    {examIds.length < MAX_EXAMS && (
+                        <button
+                            onClick={addExam}
+                            className="font-semibold faded-control"
+                            style={{ color: theme.text }}
+                        >
+                            Add Exam
+                        </button>
+                    )}
+                    <button
+                        onClick={openController}
+                        className="font-semibold faded-control"
+                        style={{ color: theme.text }}
+                    >
+                        Open Controller
+                    </button>
+                </div>
+            )}
 
+            {/* The projected display's only control, so it can be put into kiosk mode */}
+            {view === 'display' && (
+                <div className={`absolute top-8 right-8 z-10 transition-opacity duration-500 ${areControlsHidden ? 'opacity-0 pointer-events-none' : ''}`}>
+                    {kioskButton}
+                </div>
+            )}
 
-                    {/* 2. Main Timer Content (Center) */}
-                    <div className="flex-grow flex flex-col items-center mt-1"> 
-                        
-                        {/* Digital Countdown Timer */}
-                        <div className="text-center"> 
-                            <p className="text-3xl sm:text-4xl font-semibold text-white mb-2">
-                                Time Remaining:
-                            </p>
-                            {/* Renders H:MM:SS countdown */}
-                            <p className={`text-6xl sm:text-8xl font-extrabold ${digitalColor}`}>
-                                {formatTimeHHMMSS(timeRemainingSeconds)}
-                            </p>
-                        </div>
-                        
-                        {/* Status/Warning Message: text-left for alignment, and font sizes matched */}
-                        <div className="mt-16 w-full max-w-xl text-left p-4 rounded-lg">
-                            {/* NEW: Auto-Start Scheduled Message */}
-                            {isAutoStartEnabled && isPaused && autoStartTime && (
-                                <p className="text-3xl sm:text-4xl font-bold text-yellow-400 mb-4 text-center">
-                                    Auto-Starting at {autoStartTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}
-                                </p>
-                            )}
-
-                            {/* Condition 1: Extra Time ON and Hard Stop Reached */}
-                            {isExtraTimeEnabled && timeRemainingSeconds <= EXTRA_TIME_LIMIT_SECONDS ? (
-                                <p className="text-3xl sm:text-4xl font-bold text-red-400">
-                                    Writing Time Over. Please STOP writing and remain seated.
-                                </p>
-                            // Condition 2: Timer has stopped (either at 0 with extra time OFF, or counting negative with extra time ON)
-                            ) : isFinished && timeRemainingSeconds >= 0 ? (
-                                <p className="text-3xl sm:text-4xl font-bold text-white">
-                                    Writing Time Over. Please STOP writing and remain seated.
-                                </p>
-                            ) : isWarning ? (
-                                // Final 15-minute warning (red text)
-                                <p 
-                                    className={`text-3xl sm:text-4xl font-medium text-red-400`}
-                                    style={{ color: ACCENT_COLOR }}
-                                >
-                                    You may NOT leave the room in the final 15 minutes of the exam. Please remain seated and raise your hand if you need a supervisor.
-                                </p>
-                            ) : isRestricted ? (
-                                // Initial 45-minute restriction (white text)
-                                <div style={{ color: BRAND_COLOR }}>
-                                    <h1 className="text-3xl sm:text-4xl font-bold mb-2 text-white">
-                                        You may not leave the room in the first 45 minutes of the exam.
-                                    </h1>
-                                    <h2 className="text-2xl sm:text-3xl font-medium text-white">
-                                        Please stay in your seat. If you need a supervisor, raise your hand.
-                                    </h2>
-                                </div>
-                            ) : (
-                                // Normal in-progress message (white text)
-                                <p 
-                                    className="text-3xl sm:text-4xl font-medium text-white"
-                                    style={{ color: BRAND_COLOR }}
-                                >
-                                    The exam is in progress. Check the timer frequently.
-                                </p>
-                            )}
-                            {timeRemainingSeconds < 0 && isExtraTimeEnabled && (
-                                // Extra Time Display (Only if enabled and hasn't hit the hard stop)
-                                <p className="mt-4 text-3xl sm:text-4xl font-bold text-red-400"> 
-                                    (Extra Time: {formatTimeMMSS(timeRemainingSeconds)})
-                                </p>
-                            )}
-                        </div>
+            {/* Main Content Area: Added pt-40 to push content below the absolute elements. Bottom padding leaves room for the fixed button bar (one row per exam) */}
+            <main className={`flex flex-col items-center pt-40 ${isMultiExam ? 'pb-40' : 'pb-20'}`}> 
 
-                    </div>
+                {/* One column per exam */}
+                <div className={`flex flex-col lg:flex-row items-center lg:items-start justify-center w-full ${isMultiExam ? 'gap-12' : ''}`}>
+                    {renderExamTimers()}
                 </div>
             </main>
 
-            {/* 3. FIXED BOTTOM BUTTONS: Single line, centered, fixed to the bottom */}
-            <div 
-                className="fixed inset-x-0 bottom-0 flex justify-center items-center py-6 bg-black/90 border-t border-gray-800 z-50 space-x-12"
-            >
-                
-                {/* Start/Pause Button */}
-                <button
-                    onClick={toggleTimer}
-                    className={`font-semibold transition-opacity duration-200 text-white hover:opacity-100 ${isStartButtonDisabled ? 'opacity-10' : 'opacity-15'}`}
-                    disabled={isStartButtonDisabled || (timeRemainingSeconds <= EXTRA_TIME_LIMIT_SECONDS && isExtraTimeEnabled)}
-                >
-                    {isPaused ? 'Start' : 'Pause'}
-                </button>
-                
-                {/* Reset Button */}
-                <button
-                    onClick={resetTimer}
-                    className="font-semibold transition-opacity duration-200 text-white hover:opacity-100"
-                    style={{ opacity: 0.15 }}
-                >
-                    Reset
-                </button>
-
-                {/* Configuration Control: Extra Time Toggle */}
-                <button
-                    onClick={() => setIsExtraTimeEnabled(prev => !prev)}
-                    className={`font-semibold transition-opacity duration-200 text-white hover:opacity-100`}
-                    style={{ opacity: 0.15 }}
-                    disabled={timeRemainingSeconds <= EXTRA_TIME_LIMIT_SECONDS && isExtraTimeEnabled}
-                >
-                    Extra Time: {isExtraTimeEnabled ? 'ON' : 'OFF'}
-                </button>
-                
-                {/* NEW: Auto-Start Toggle */}
-                <button
-                    onClick={() => setIsAutoStartEnabled(prev => !prev)}
-                    className={`font-semibold transition-opacity duration-200 text-white hover:opacity-100`}
-                    style={{ opacity: isAutoStartEnabled ? 0.75 : 0.15 }}
-                    disabled={!isPaused || isFinished} // Only allowed when paused and not finished
-                >
-                    Auto-Start: {isAutoStartEnabled ? 'ON' : 'OFF'}
-                </button>
-            </div>
+            {/* 3. FIXED BOTTOM BUTTONS: One centered row per exam, fixed to the bottom (none on the projected display) */}
+            {view === 'standalone' && (
+                <div 
+                    ref={setControlsContainer}
+                    className={`fixed inset-x-0 bottom-0 flex flex-col items-center py-6 bg-black/90 border-t border-gray-800 z-50 space-y-3 transition-opacity duration-500 ${areControlsHidden ? 'opacity-0 pointer-events-none' : ''}`}
+                ></div>
+            )}
+
+            {themePanel}
+            {languagePanel}
+            {layoutPanel}
+            {sharePanel}
+            {remoteSyncPanel}
+            {commandOverlays}
         </div>
     );
 };
 
-export default App;
+export default App;
\ No newline at end of file
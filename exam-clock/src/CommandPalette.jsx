@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { SHORTCUT_LABELS } from './commands.js';
+
+// --- Command Palette Component ---
+// Searchable list of every command (see commands.js), opened with Ctrl+K. Commands that need a
+// value (minutes to add, a note, ...) ask for it here. Nothing runs from the palette directly:
+// onChoose hands the command and its value to the App, which asks for confirmation.
+//   commands: every command; unavailable ones are listed but can't be chosen
+//   onChoose: called with (command, value)
+const CommandPalette = ({ commands, onChoose, onClose }) => {
+    const [query, setQuery] = useState('');
+    const [highlighted, setHighlighted] = useState(0);
+    // The command waiting for its value, and what has been typed for it
+    const [inputCommand, setInputCommand] = useState(null);
+    const [inputText, setInputText] = useState('');
+    const [inputError, setInputError] = useState('');
+
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const matches = commands.filter(command => !command.isDisabled
+        && words.every(word => command.label.toLowerCase().includes(word)));
+    const highlightedIndex = Math.min(highlighted, Math.max(0, matches.length - 1));
+
+    const choose = (command) => {
+        if (command.input) {
+            setInputCommand(command);
+            setInputText('');
+            setInputError('');
+        } else {
+            onChoose(command);
+        }
+    };
+
+    const submitInput = (event) => {
+        event.preventDefault();
+        const { value, error } = inputCommand.input.parse(inputText);
+        if (error) {
+            setInputError(error);
+            return;
+        }
+        onChoose(inputCommand, value);
+    };
+
+    const handleListKeyDown = (event) => {
+        if (event.key === 'ArrowDown') {
+            event.preventDefault();
+            setHighlighted(Math.min(highlightedIndex + 1, matches.length - 1));
+        } else if (event.key === 'ArrowUp') {
+            event.preventDefault();
+            setHighlighted(Math.max(highlightedIndex - 1, 0));
+        } else if (event.key === 'Enter' && matches[highlightedIndex]) {
+            event.preventDefault();
+            choose(matches[highlightedIndex]);
+        }
+    };
+
+    // Escape closes from anywhere in the palette
+    const handleKeyDown = (event) => {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            onClose();
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-start justify-center p-4 pt-24" onKeyDown={handleKeyDown}>
+            <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-6 text-left text-white">
+                {inputCommand ? (
+                    <form onSubmit={submitInput}>
+                        <h1 className="text-2xl font-bold mb-4">{inputCommand.label.replace(/…$/, '')}</h1>
+                        <label className="flex items-center justify-between mb-2 text-xl">
+                            <span>{inputCommand.input.label}</span>
+                            <input
+                                type="text"
+                                autoFocus
+                                value={inputText}
+                                placeholder={inputCommand.input.placeholder}
+                                onChange={(e) => setInputText(e.target.value)}
+                                className="w-64 ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                            />
+                        </label>
+                        {inputError && <p className="mb-2 text-red-400">{inputError}</p>}
+                        <div className="flex justify-end space-x-4 mt-4">
+                            <button type="button" onClick={() => setInputCommand(null)} className="font-semibold text-gray-400 hover:text-white">
+                                Back
+                            </button>
+                            <button type="submit" className="font-semibold text-white">
+                                Next
+                            </button>
+                        </div>
+                    </form>
+                ) : (
+                    <>
+                        <input
+                            type="text"
+                            autoFocus
+                            value={query}
+                            placeholder="Type a command"
+                            aria-label="Search commands"
+                            onChange={(e) => {
+                                setQuery(e.target.value);
+                                setHighlighted(0);
+                            }}
+                            onKeyDown={handleListKeyDown}
+                            className="w-full px-3 py-2 mb-4 rounded bg-black border border-gray-600 text-white text-xl"
+                        />
+                        {matches.length === 0 ? (
+                            <p className="text-gray-400">No matching commands.</p>
+                        ) : (
+                            <ul className="max-h-96 overflow-y-auto">
+                                {matches.map((command, index) => (
+                                    <li key={command.id}>
+                                        <button
+                                            onClick={() => choose(command)}
+                                            onMouseEnter={() => setHighlighted(index)}
+                                            className={`w-full flex justify-between px-3 py-2 rounded text-left text-lg ${index === highlightedIndex ? 'bg-gray-700' : ''} ${command.isDestructive ? 'text-red-400' : ''}`}
+                                        >
+                                            <span>{command.label}</span>
+                                            {command.shortcut && (
+                                                <kbd className="text-gray-400 font-mono">{SHORTCUT_LABELS[command.shortcut]}</kbd>
+                                            )}
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        <p className="mt-4 text-gray-400">
+                            Arrow keys and Enter to choose, Esc to close. With several exams, the number keys
+                            pick the exam the shortcuts control.
+                        </p>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CommandPalette;
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef } from 'react';
+
+// --- Confirm Dialog Component ---
+// The confirmation step before a keyboard shortcut or palette command runs. Cancel has focus
+// when it opens, so a stray Enter backs out; Tab to Confirm and press Enter (or click it) to go
+// ahead. Escape, Cancel or clicking outside backs out. Focus stays in the dialog until it closes.
+//   label:         what will happen, e.g. 'Pause COMPSCI 101'
+//   isDestructive: shown in red (e.g. Reset)
+const ConfirmDialog = ({ label, isDestructive, onConfirm, onCancel }) => {
+    const cancelRef = useRef(null);
+    const confirmRef = useRef(null);
+
+    // Focus moves in on open, and back to where it was on close
+    useEffect(() => {
+        const previousFocus = document.activeElement;
+        cancelRef.current.focus();
+        return () => previousFocus?.focus?.();
+    }, []);
+
+    // Listens on the window so Escape works even if focus was lost (e.g. a click on the backdrop).
+    // Enter is left to the focused button.
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.defaultPrevented) return;
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                onCancel();
+            } else if (event.key === 'Tab') {
+                // Two buttons: Tab either way moves to the other one
+                event.preventDefault();
+                (document.activeElement === cancelRef.current ? confirmRef : cancelRef).current.focus();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onCancel]);
+
+    return (
+        <div className="fixed inset-0 bg-black/80 z-50 flex items-center justify-center p-4" onClick={onCancel}>
+            <div
+                role="alertdialog"
+                aria-modal="true"
+                aria-label={`${label}?`}
+                onClick={(e) => e.stopPropagation()}
+                className={`w-full max-w-md bg-gray-900 border rounded-lg p-8 text-left text-white ${isDestructive ? 'border-red-500' : 'border-gray-700'}`}
+            >
+                <h1 className={`text-3xl font-bold mb-2 ${isDestructive ? 'text-red-400' : ''}`}>{label}?</h1>
+                <p className="text-gray-400 mb-6">Press Tab then Enter to confirm, or Esc to cancel.</p>
+                <div className="flex justify-end space-x-4">
+                    <button ref={cancelRef} onClick={onCancel} className="font-semibold text-gray-400 hover:text-white">
+                        Cancel
+                    </button>
+                    <button
+                        ref={confirmRef}
+                        onClick={onConfirm}
+                        className={`px-4 py-2 rounded font-semibold text-white ${isDestructive ? 'bg-red-700 hover:bg-red-600' : 'bg-gray-700 hover:bg-gray-600'}`}
+                    >
+                        Confirm
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ConfirmDialog;
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import EventLog from './EventLog.jsx';
+
+// Full-opacity button style for the controller (nobody else is looking at this screen)
+const BUTTON_CLASSES = 'px-4 py-2 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800 disabled:opacity-40 disabled:hover:bg-transparent';
+
+// --- Controller Card Component ---
+// One exam in the controller window: its full state, the controls (Reset needs confirming)
+// and its event log. ExamTimer owns the state and passes everything in.
+const ControllerCard = ({
+    label,
+    title,
+    phaseLabel,
+    countdown,
+    isPaused,
+    isExtraTimeEnabled,
+    isAutoStartEnabled,
+    autoStartLabel,
+    outOfRoomCount,
+    leaveWarnings,
+    eventLog,
+    controls,
+}) => {
+    const [isConfirmingReset, setIsConfirmingReset] = useState(false);
+
+    const confirmReset = () => {
+        setIsConfirmingReset(false);
+        controls.onReset();
+    };
+
+    return (
+        <section className="bg-gray-900 border border-gray-700 rounded-lg p-6 text-left w-full max-w-xl">
+            {/* Exam name and current state */}
+            <h2 className="text-2xl font-bold text-white">{label}</h2>
+            {title && <p className="text-lg text-gray-300">{title}</p>}
+
+            <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mt-4 text-lg">
+                <dt className="text-gray-400">Phase</dt>
+                <dd className="text-white">{phaseLabel}</dd>
+                <dt className="text-gray-400">Timer</dt>
+                <dd className="text-white">{isPaused ? 'Paused' : 'Running'}</dd>
+                <dt className="text-gray-400">Countdown</dt>
+                <dd className="text-white font-mono">{countdown}</dd>
+                <dt className="text-gray-400">Extra Time</dt>
+                <dd className="text-white">{isExtraTimeEnabled ? 'ON' : 'OFF'}</dd>
+                <dt className="text-gray-400">Auto-Start</dt>
+                <dd className="text-white">{isAutoStartEnabled ? autoStartLabel ?? 'ON' : 'OFF'}</dd>
+                <dt className="text-gray-400">Out of Room</dt>
+                <dd className="text-white">{outOfRoomCount || 'None'}</dd>
+            </dl>
+
+            {/* Candidates out too long, or still out in the final window */}
+            {leaveWarnings.length > 0 && (
+                <ul className="mt-4 p-3 rounded border border-red-500 text-red-400 font-semibold">
+                    {leaveWarnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+            )}
+
+            {/* Controls */}
+            <div className="flex flex-wrap gap-3 mt-6">
+                <button onClick={controls.onToggle} disabled={controls.isStartDisabled} className={BUTTON_CLASSES}>
+                    {isPaused ? 'Start' : 'Pause'}
+                </button>
+
+                {/* Reset wipes the countdown, so it needs a second click */}
+                {isConfirmingReset ? (
+                    <>
+                        <button onClick={confirmReset} className={`${BUTTON_CLASSES} border-red-500 text-red-400`}>
+                            Confirm Reset
+                        </button>
+                        <button onClick={() => setIsConfirmingReset(false)} className={BUTTON_CLASSES}>
+                            Cancel
+                        </button>
+                    </>
+                ) : (
+                    <button onClick={() => setIsConfirmingReset(true)} className={BUTTON_CLASSES}>
+                        Reset
+                    </button>
+                )}
+
+                <button onClick={controls.onToggleExtraTime} disabled={controls.isExtraTimeDisabled} className={BUTTON_CLASSES}>
+                    Extra Time: {isExtraTimeEnabled ? 'ON' : 'OFF'}
+                </button>
+                <button onClick={controls.onToggleAutoStart} disabled={controls.isAutoStartDisabled} className={BUTTON_CLASSES}>
+                    Auto-Start: {isAutoStartEnabled ? 'ON' : 'OFF'}
+                </button>
+                <button onClick={controls.onOpenSetup} disabled={controls.isSetupDisabled} className={BUTTON_CLASSES}>
+                    Setup
+                </button>
+                <button onClick={controls.onOpenAdjustTime} disabled={controls.isAdjustTimeDisabled} className={BUTTON_CLASSES}>
+                    Adjust Time
+                </button>
+                <button onClick={controls.onOpenCandidates} className={BUTTON_CLASSES}>
+                    Candidates
+                </button>
+                <button onClick={controls.onOpenMessages} className={BUTTON_CLASSES}>
+                    Messages
+                </button>
+                <button onClick={controls.onOpenLeave} className={BUTTON_CLASSES}>
+                    Out of Room
+                </button>
+                {controls.onRemove && (
+                    <button onClick={controls.onRemove} disabled={controls.isRemoveDisabled} className={BUTTON_CLASSES}>
+                        Remove
+                    </button>
+                )}
+            </div>
+
+            {/* Event log, incident notes and exports */}
+            <h3 className="text-xl font-semibold text-white mt-6 mb-2">Event Log</h3>
+            <EventLog {...eventLog} />
+        </section>
+    );
+};
+
+export default ControllerCard;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { describeEvent } from './eventLog.js';
+import { formatTimeHHMMSS, formatTimeOfDay } from './timeUtils.js';
+
+const formatEventTime = (at) => formatTimeOfDay(at, 'en-US', { seconds: true });
+
+// --- Event Log Component ---
+// The exam's event log (newest first), a box for incident notes, the total paused time
+// and the CSV / printable report exports. Used by the controller card and the log overlay.
+const EventLog = ({ events, totalPausedMs, onAddNote, onExportCsv, onPrintReport }) => {
+    const [note, setNote] = useState('');
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        if (note.trim() === '') return;
+        onAddNote(note.trim());
+        setNote('');
+    };
+
+    return (
+        <div>
+            <p className="text-lg text-gray-300 mb-2">
+                Total time paused: <span className="font-mono text-white">{formatTimeHHMMSS(Math.round(totalPausedMs / 1000))}</span>
+            </p>
+
+            {events.length === 0 ? (
+                <p className="text-gray-400">No events yet.</p>
+            ) : (
+                <ol className="max-h-64 overflow-y-auto font-mono text-gray-200">
+                    {[...events].reverse().map((event, index) => (
+                        <li key={`${event.at}-${index}`}>
+                            {formatEventTime(event.at)} {describeEvent(event)}{event.note ? `: ${event.note}` : ''}
+                        </li>
+                    ))}
+                </ol>
+            )}
+
+            {/* Incident notes (fire alarm, power cut, wrong paper, ...) */}
+            <form onSubmit={handleSubmit} className="flex mt-4 gap-2">
+                <input
+                    type="text"
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Incident note"
+                    aria-label="Incident note"
+                    className="flex-grow px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                />
+                <button type="submit" className="px-4 py-1 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800">
+                    Add Note
+                </button>
+            </form>
+
+            <div className="flex gap-3 mt-4">
+                <button onClick={onExportCsv} className="px-4 py-1 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800">
+                    Export CSV
+                </button>
+                <button onClick={onPrintReport} className="px-4 py-1 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800">
+                    Print Report
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default EventLog;
@@ -0,0 +1,1063 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import SetupPanel from './SetupPanel.jsx';
+import ControllerCard from './ControllerCard.jsx';
+import EventLog from './EventLog.jsx';
+import CandidatesPanel from './CandidatesPanel.jsx';
+import CandidateFinishTimes from './CandidateFinishTimes.jsx';
+import AlertBanner from './AlertBanner.jsx';
+import { ALERT_MILESTONES, ALERT_GRACE_MS, playAlertSound } from './alerts.js';
+import MessagesPanel from './MessagesPanel.jsx';
+import AdjustTimePanel from './AdjustTimePanel.jsx';
+import LeavePanel from './LeavePanel.jsx';
+import HorizontalTimeline from './HorizontalTimeline.jsx';
+import AnalogClockFace from './AnalogClockFace.jsx';
+import { getActiveMessages, getMessageText, fillPlaceholders } from './messages.js';
+import { getAnnouncementPhase, getAnnouncementPeriod, getPhaseAnnouncement, getTimeAnnouncement } from './announcements.js';
+import { translate, getLocale } from './i18n.js';
+import { resolveThemeColor } from './theme.js';
+import { DEFAULT_EXAM_CONFIG } from './examConfig.js';
+import { createIdleSession, loadSavedState, saveState } from './session.js';
+import { createTimerEngine, getTimerView } from './timerEngine.js';
+import { getCandidateFinishAt } from './candidates.js';
+import {
+    createLeave,
+    getOutOfRoom,
+    getSeatsOutAt,
+    getLeaveWarnings,
+    formatLeaveTime,
+    normalizeSeat,
+    signBackIn,
+    validateSeat,
+} from './leaves.js';
+import {
+    formatTimeHMM,
+    formatTimeHHMMSS,
+    formatTimeMMSS,
+    formatTimeOfDay,
+    formatTimeAdjustment,
+} from './timeUtils.js';
+import {
+    createEvent,
+    hasEventThisSession,
+    eventsToCsv,
+    buildReportHtml,
+    downloadFile,
+    printReport,
+} from './eventLog.js';
+import { broadcast, subscribe } from './sync.js';
+
+// How long candidates see the "Time adjusted" notice after a change
+const ADJUSTMENT_NOTICE_MS = 2 * 60 * 1000;
+
+// Timing rules, on the system clock (see timerEngine.js)
+const timerEngine = createTimerEngine();
+
+// --- Exam Timer Component ---
+// One exam's countdown, timeline, status messages and controls. Several can run side by side:
+// each keeps its own session, extra time and auto-start state, saved under its own examId.
+// Every change is also broadcast, so the same exam open in another window stays in step.
+//   view:              'standalone' (display + controls), 'display' (no controls) or 'controller'
+//   isMuted:           silences milestone alert sounds (banners still show)
+//   theme:             resolved colours and font for the projected screen (see theme.js)
+//   languages:         display languages, primary first (see i18n.js)
+//   isCompact:         true when sharing the screen with other exams (smaller text and timeline)
+//   layout:            how the projected screen draws the exam (see layouts.js)
+//   controlsContainer: DOM node of the App's bottom bar; the controls are portalled into it
+//   warningsContainer: DOM node of the App's warning stack; leave warnings are portalled into it
+//   fallbackLabel:     shown in the control bar when the exam has no course code
+//   onStatusChange:    told this exam's session status ('idle', 'running' or 'paused') when it changes
+//   onCommandsChange:  given this exam's actions for the keyboard shortcuts and command palette
+//                      (see commands.js), and null when the exam goes away
+//   onRemove:          removes this exam from the screen (omitted when it is the only one)
+const ExamTimer = ({ examId, view, isMuted, theme, languages, isCompact, layout, controlsContainer, warningsContainer, fallbackLabel, onStatusChange, onCommandsChange, onRemove }) => {
+    // Anything saved before a reload (config, session, extra time and auto-start settings)
+    const [savedState] = useState(() => loadSavedState(examId));
+    // Display language for announcements and timeline markers (see i18n.js)
+    const [primaryLanguage] = languages;
+
+    // Exam config from the setup screen; the panel is shown before the first start
+    // (merged with the defaults so configs saved by older versions pick up new settings)
+    const [config, setConfig] = useState({ ...DEFAULT_EXAM_CONFIG, ...savedState?.config });
+
+    // The session (start timestamp + accumulated pause time) is the core state;
+    // the remaining time is derived from it and the current wall-clock time.
+    // (merged with an idle session so sessions saved by older versions pick up new fields)
+    const [session, setSession] = useState({ ...createIdleSession(), ...savedState?.session });
+
+    const [now, setNow] = useState(() => Date.now());
+    // The projected display never shows setup; the controller (or standalone screen) does
+    const [isSetupOpen, setIsSetupOpen] = useState(view !== 'display' && session.status === 'idle');
+    const [isLogOpen, setIsLogOpen] = useState(false);
+    const [isCandidatesOpen, setIsCandidatesOpen] = useState(false);
+    const [isMessagesOpen, setIsMessagesOpen] = useState(false);
+    const [isAdjustTimeOpen, setIsAdjustTimeOpen] = useState(false);
+    const [isLeaveOpen, setIsLeaveOpen] = useState(false);
+    // The in-room Reset button asks for confirmation first, like the controller's
+    const [isConfirmingReset, setIsConfirmingReset] = useState(false);
+    // Milestone alert currently on screen: { id, message, visual }
+    const [activeAlert, setActiveAlert] = useState(null);
+    // Live region text for screen readers: the latest phase change and time update (see announcements.js)
+    const [announcements, setAnnouncements] = useState({ phase: '', time: '' });
+    
+    // New State for Auto-Start Feature (stays armed across a reload)
+    const [isAutoStartEnabled, setIsAutoStartEnabled] = useState(savedState?.isAutoStartEnabled ?? false);
+    const [scheduledStart, setScheduledStart] = useState(null); // { startTime, durationMinutes, hasMore } from getNextScheduledStart
+    
+    // Existing State for Extra Time
+    const [isExtraTimeEnabled, setIsExtraTimeEnabled] = useState(savedState?.isExtraTimeEnabled ?? false);
+    
+    // Timestamped record of starts, pauses, resets, ... (see eventLog.js)
+    const [events, setEvents] = useState(savedState?.events ?? []);
+
+    // Candidates with individual extra time / rest breaks (see candidates.js)
+    const [candidates, setCandidates] = useState(savedState?.candidates ?? []);
+
+    // Candidates signed out of the room and back in (see leaves.js)
+    const [leaves, setLeaves] = useState(savedState?.leaves ?? []);
+
+    // JSON of the state last saved or received, so changes from another window aren't echoed back
+    const lastSyncedRef = useRef(null);
+    // Milestone alerts already handled, as 'startedAt:milestoneId'
+    const firedAlertsRef = useRef(new Set());
+
+    const logEvent = useCallback((type, at, note) => {
+        setEvents(prev => [...prev, createEvent(type, at, note)]);
+    }, []);
+
+    const isPaused = session.status !== 'running';
+
+    // The timing rules work from these together (see timerEngine.js)
+    const timerState = { config, session, isExtraTimeEnabled, isAutoStartEnabled, scheduledStart };
+    // Phase, countdowns and what the controls allow, at the last refresh of the wall-clock time
+    const timerView = getTimerView(timerState, now);
+    const {
+        totalSeconds,
+        readingSeconds,
+        restrictionSeconds,
+        warningThresholdSeconds,
+        extraTimeLimitSeconds,
+        sessionElapsedSeconds,
+        isReadingTime,
+        readingRemainingSeconds,
+        timeElapsedSeconds,
+        timeRemainingSeconds,
+        isFinished,
+        isExtraTimeOver,
+        isRestricted,
+        isWarning,
+        writingEndAt,
+        pausedAfterWritingMs,
+        totalPausedMs,
+    } = timerView;
+
+    // Special conditions candidates keep counting down after the main session has stopped
+    const isCandidateCountdownActive = isFinished
+        && candidates.some(c => getCandidateFinishAt(c.extraMinutes + c.restMinutes, timerView) > now);
+
+    // Candidates out of the room right now (their time out keeps counting, even while paused)
+    const outOfRoom = getOutOfRoom(leaves);
+    const isAnyoneOut = outOfRoom.length > 0;
+
+    // Refresh the wall-clock time while running (or waiting for Auto-Start, or with candidates out
+    // of the room). The interval only triggers a re-render (and so a tick), so a throttled or
+    // sleeping tab catches up on the next callback instead of drifting.
+    useEffect(() => {
+        if (isPaused && !isCandidateCountdownActive && !isAutoStartEnabled && !isAnyoneOut) return;
+
+        setNow(Date.now());
+        const timerId = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(timerId);
+    }, [isPaused, isCandidateCountdownActive, isAutoStartEnabled, isAnyoneOut]);
+
+    // Log phase transitions (reading over, writing over, extra time) once per session. They are
+    // stamped with the moment the boundary was crossed, not when this check ran, so every window
+    // that runs this effect records exactly the same event.
+    useEffect(() => {
+        if (session.startedAt === null) return;
+
+        const boundaryAt = (elapsedSeconds) => session.startedAt + session.pausedMs + elapsedSeconds * 1000;
+        const transitions = [];
+        if (readingSeconds > 0 && sessionElapsedSeconds >= readingSeconds) {
+            transitions.push(['reading-over', readingSeconds]);
+        }
+        if (timeRemainingSeconds <= 0) {
+            transitions.push(['writing-over', readingSeconds + totalSeconds]);
+            if (isExtraTimeEnabled) {
+                transitions.push(['extra-time-started', readingSeconds + totalSeconds]);
+            }
+        }
+        if (isExtraTimeEnabled && timeRemainingSeconds <= extraTimeLimitSeconds) {
+            transitions.push(['extra-time-over', readingSeconds + totalSeconds - extraTimeLimitSeconds]);
+        }
+
+        setEvents(prev => {
+            const missing = transitions.filter(([type]) => !hasEventThisSession(prev, type));
+            if (missing.length === 0) return prev;
+            return [...prev, ...missing.map(([type, elapsed]) => createEvent(type, boundaryAt(elapsed)))];
+        });
+    }, [session, sessionElapsedSeconds, timeRemainingSeconds, readingSeconds, totalSeconds, isExtraTimeEnabled, extraTimeLimitSeconds]);
+
+    // Milestone alerts: fire each enabled milestone once per session as it is reached.
+    // Milestones that passed more than ALERT_GRACE_MS ago (e.g. before a reload) are skipped silently.
+    // The controller window stays quiet; the projected display makes the announcement.
+    useEffect(() => {
+        if (view === 'controller' || session.startedAt === null) return;
+
+        const timings = { readingSeconds, restrictionSeconds, totalSeconds, extraTimeLimitSeconds, isExtraTimeEnabled };
+        config.alerts.milestones.forEach(id => {
+            const milestoneElapsed = ALERT_MILESTONES[id].getElapsed(timings);
+            if (milestoneElapsed === null || sessionElapsedSeconds < milestoneElapsed) return;
+
+            const key = `${session.startedAt}:${id}`;
+            if (firedAlertsRef.current.has(key)) return;
+            firedAlertsRef.current.add(key);
+
+            const reachedAt = session.startedAt + session.pausedMs + milestoneElapsed * 1000;
+            if (Date.now() - reachedAt > ALERT_GRACE_MS) return;
+
+            // Announced in the primary display language (the banner shows every display language)
+            const message = translate(primaryLanguage, `alert.${id}`);
+            if (!isMuted) {
+                playAlertSound(
+                    config.alerts.sound,
+                    isCompact ? `${config.courseCode || fallbackLabel}. ${message}` : message,
+                    getLocale(primaryLanguage),
+                );
+            }
+            if (config.alerts.visual !== 'none') {
+                setActiveAlert({ id, visual: config.alerts.visual });
+            }
+        });
+    }, [view, session, sessionElapsedSeconds, config, readingSeconds, restrictionSeconds, totalSeconds, extraTimeLimitSeconds, isExtraTimeEnabled, isMuted, isCompact, fallbackLabel, primaryLanguage]);
+
+    // Banners clear themselves after a while
+    useEffect(() => {
+        if (!activeAlert) return;
+        const timerId = setTimeout(() => setActiveAlert(null), 15 * 1000);
+        return () => clearTimeout(timerId);
+    }, [activeAlert]);
+
+    // Run an event through the timer engine and apply the result (see timerEngine.js).
+    // Returns the new timer state.
+    const sendTimerEvent = (event) => {
+        const { state: next, log } = timerEngine.send(timerState, event);
+        if (next === timerState) return next;
+
+        if (next.config !== config) setConfig(next.config);
+        if (next.session !== session) setSession(next.session);
+        if (next.isExtraTimeEnabled !== isExtraTimeEnabled) setIsExtraTimeEnabled(next.isExtraTimeEnabled);
+        if (next.isAutoStartEnabled !== isAutoStartEnabled) setIsAutoStartEnabled(next.isAutoStartEnabled);
+        if (next.scheduledStart !== scheduledStart) setScheduledStart(next.scheduledStart);
+        log.forEach(({ type, at, note }) => logEvent(type, at, note));
+        setNow(timerEngine.now());
+        return next;
+    };
+
+    // Tick after every render: hard stops at the exact stop point (zero, or the extra time limit),
+    // and arming and firing Auto-Start. A tick that changes nothing doesn't re-render.
+    useEffect(() => {
+        sendTimerEvent({ type: 'tick' });
+    });
+
+    // Persist everything needed to carry on after a reload, and share it with other windows
+    useEffect(() => {
+        const state = { config, session, isExtraTimeEnabled, isAutoStartEnabled, events, candidates, leaves };
+        const json = JSON.stringify(state);
+        if (json === lastSyncedRef.current) return;
+
+        lastSyncedRef.current = json;
+        saveState(examId, state);
+        broadcast({ type: 'exam-state', examId, state });
+    }, [examId, config, session, isExtraTimeEnabled, isAutoStartEnabled, events, candidates, leaves]);
+
+    useEffect(() => {
+        onStatusChange(examId, session.status);
+    }, [examId, session.status, onStatusChange]);
+
+    // Adopt changes made to this exam in another window (e.g. the controller)
+    useEffect(() => subscribe((message) => {
+        if (message.type !== 'exam-state' || message.examId !== examId) return;
+
+        const json = JSON.stringify(message.state);
+        if (json === lastSyncedRef.current) return;
+        lastSyncedRef.current = json;
+
+        const { state } = message;
+        setConfig({ ...DEFAULT_EXAM_CONFIG, ...state.config });
+        setSession({ ...createIdleSession(), ...state.session });
+        setIsExtraTimeEnabled(state.isExtraTimeEnabled);
+        setIsAutoStartEnabled(state.isAutoStartEnabled);
+        setEvents(state.events ?? []);
+        setCandidates(state.candidates ?? []);
+        setLeaves(state.leaves ?? []);
+        setNow(Date.now());
+    }), [examId]);
+
+    // Adopt timing from the master clock in another room (see remoteSync.js). This room's events,
+    // candidates and leave records are kept, and the result is passed on to this screen's other
+    // windows.
+    useEffect(() => subscribe((message) => {
+        if (message.type !== 'remote-exam-state' || message.examId !== examId) return;
+
+        const { state } = message;
+        setConfig({ ...DEFAULT_EXAM_CONFIG, ...state.config });
+        setSession({ ...createIdleSession(), ...state.session });
+        setIsExtraTimeEnabled(state.isExtraTimeEnabled);
+        setIsAutoStartEnabled(state.isAutoStartEnabled);
+        setNow(Date.now());
+    }), [examId]);
+
+    // Start/Pause Toggle
+    const toggleTimer = () => sendTimerEvent({ type: isPaused ? 'start' : 'pause' });
+
+    // Reset Function (also turns Auto-Start off)
+    const resetTimer = () => sendTimerEvent({ type: 'reset' });
+
+    const confirmReset = () => {
+        setIsConfirmingReset(false);
+        resetTimer();
+    };
+
+    const toggleExtraTime = () => sendTimerEvent({ type: 'toggle-extra-time' });
+
+    const toggleAutoStart = () => sendTimerEvent({ type: 'toggle-auto-start' });
+
+    // Add writing time (or take it off, with a negative number) once the exam has started,
+    // e.g. after a fire alarm. Never takes off more than is left. Returns the seconds applied.
+    const adjustTime = (deltaSeconds) =>
+        sendTimerEvent({ type: 'adjust', seconds: deltaSeconds }).session.adjustedSeconds - session.adjustedSeconds;
+
+    // Set the writing time left exactly (e.g. back to where it was when the alarm went off)
+    const setTimeRemaining = (seconds) =>
+        sendTimerEvent({ type: 'set-remaining', seconds }).session.adjustedSeconds - session.adjustedSeconds;
+
+    // Sign a candidate out of the room by seat. Returns a list of problems (empty once signed out).
+    const signOut = (seatText) => {
+        const seat = normalizeSeat(seatText);
+        const errors = validateSeat(seat, leaves);
+        if (errors.length > 0) return errors;
+
+        const at = Date.now();
+        setLeaves(prev => [...prev, createLeave(seat, at)]);
+        logEvent('signed-out', at, `Seat ${seat}`);
+        setNow(at);
+        return [];
+    };
+
+    const signIn = (leaveId) => {
+        const leave = leaves.find(l => l.id === leaveId);
+        if (!leave || leave.backAt !== null) return;
+
+        const at = Date.now();
+        setLeaves(prev => signBackIn(prev, leaveId, at));
+        logEvent('signed-in', at, `Seat ${leave.seat}, out ${formatLeaveTime({ ...leave, backAt: at }, at)}`);
+        setNow(at);
+    };
+
+    // Record who was out of the room when the final no-leaving window began (once per session).
+    // Stamped with the moment it began, so every window records exactly the same event.
+    useEffect(() => {
+        if (!isWarning) return;
+
+        const warningAt = session.startedAt + session.pausedMs
+            + (readingSeconds + totalSeconds - warningThresholdSeconds) * 1000;
+        const seats = getSeatsOutAt(leaves, warningAt);
+        if (seats.length === 0) return;
+
+        setEvents(prev => (hasEventThisSession(prev, 'out-at-final-warning') ? prev
+            : [...prev, createEvent('out-at-final-warning', warningAt, `Seats ${seats.join(', ')}`)]));
+    }, [isWarning, session, readingSeconds, totalSeconds, warningThresholdSeconds, leaves]);
+
+    // Apply a new config from the setup screen (only possible before the exam starts)
+    const saveConfig = (nextConfig) => {
+        setConfig(nextConfig);
+        setIsSetupOpen(false);
+    };
+    
+    // Clear the "Time adjusted" notice on time, even while paused (when nothing else ticks)
+    const adjustmentNoticeEndsAt = session.lastAdjustment ? session.lastAdjustment.at + ADJUSTMENT_NOTICE_MS : 0;
+    const isAdjustmentNoticeShown = now < adjustmentNoticeEndsAt;
+    useEffect(() => {
+        if (!isAdjustmentNoticeShown) return;
+        const timerId = setTimeout(() => setNow(Date.now()), adjustmentNoticeEndsAt - Date.now());
+        return () => clearTimeout(timerId);
+    }, [isAdjustmentNoticeShown, adjustmentNoticeEndsAt]);
+
+    // Progress Calculation (across the whole timeline: reading + writing)
+    const timelineSeconds = readingSeconds + totalSeconds;
+    // Cap progress at 100% (when remaining time hits 0)
+    const progressPercent = Math.min(100, (sessionElapsedSeconds / timelineSeconds) * 100);
+    // Where reading time hands over to writing time on the timeline
+    const readingPercent = (readingSeconds / timelineSeconds) * 100;
+
+    // Status messages for the current point in the exam
+    const activeMessages = getActiveMessages(config.messages, config, {
+        isReadingTime,
+        timeElapsedSeconds,
+        timeRemainingSeconds,
+        isFinished,
+        isExtraTimeOver,
+    });
+
+    const examLabel = config.courseCode || fallbackLabel;
+
+    // Props for the event log (notes, paused total and exports)
+    const eventLogProps = {
+        events,
+        totalPausedMs,
+        onAddNote: (note) => logEvent('note', Date.now(), note),
+        onExportCsv: () => {
+            const date = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD
+            const fileName = `${examLabel.replace(/[^\w-]+/g, '_')}-events-${date}.csv`;
+            downloadFile(fileName, eventsToCsv(events), 'text/csv');
+        },
+        onPrintReport: () => {
+            printReport(buildReportHtml({ label: examLabel, config, adjustedSeconds: session.adjustedSeconds, events, leaves, totalPausedMs }));
+        },
+    };
+
+    // Overdue candidates, and candidates still out when the final window starts (for invigilators)
+    const leaveWarnings = getLeaveWarnings(leaves, {
+        now,
+        limitMinutes: config.leaveLimitMinutes,
+        isWarning,
+        warningMinutes: config.warningMinutes,
+    });
+
+    // Screen reader announcements as the phase changes and the time remaining passes each
+    // update interval. The phase and period when the exam was loaded are taken as already
+    // announced, so a reload mid-exam stays quiet. The controller window stays quiet too.
+    const announcementPhase = getAnnouncementPhase(timerView);
+    const announcementPeriod = getAnnouncementPeriod(timerView, config.announceEveryMinutes);
+    const lastAnnouncedRef = useRef({ phase: announcementPhase, period: announcementPeriod });
+    useEffect(() => {
+        const last = lastAnnouncedRef.current;
+        if (view === 'controller' || (announcementPhase === last.phase && announcementPeriod === last.period)) return;
+        lastAnnouncedRef.current = { phase: announcementPhase, period: announcementPeriod };
+
+        // Several exams on one screen: say which one
+        const prefix = isCompact ? `${examLabel}. ` : '';
+        if (announcementPhase !== last.phase) {
+            const text = getPhaseAnnouncement(announcementPhase, primaryLanguage, config);
+            if (text) setAnnouncements(prev => ({ ...prev, phase: prefix + text }));
+        } else if (announcementPeriod !== null && last.period !== null && announcementPeriod < last.period) {
+            // Counting down past an update (time added moves the period up, and isn't announced)
+            setAnnouncements(prev => ({ ...prev, time: prefix + getTimeAnnouncement(timerView, primaryLanguage) }));
+        }
+    }, [view, announcementPhase, announcementPeriod, isCompact, examLabel, primaryLanguage, config, timerView]);
+
+    // Setup can only be changed before the exam has started
+    const isSetupAllowed = session.status === 'idle' && !isAutoStartEnabled;
+    
+    // Dynamic styles
+    // Countdown timer color follows the theme (muted once finished)
+    const digitalColor = isFinished ? theme.muted : (isReadingTime ? theme.reading : theme.countdown);
+
+    // Actions and their enabled state, shared by the bottom bar and the controller card
+    const controlActions = {
+        onToggle: toggleTimer,
+        isStartDisabled: isPaused && !timerView.canStart,
+        onReset: resetTimer,
+        onToggleExtraTime: toggleExtraTime,
+        isExtraTimeDisabled: !timerView.canToggleExtraTime,
+        onToggleAutoStart: toggleAutoStart,
+        isAutoStartDisabled: !timerView.canToggleAutoStart,
+        onOpenSetup: () => setIsSetupOpen(true),
+        onOpenCandidates: () => setIsCandidatesOpen(true),
+        onOpenMessages: () => setIsMessagesOpen(true),
+        onOpenLeave: () => setIsLeaveOpen(true),
+        isSetupDisabled: !isSetupAllowed,
+        onOpenAdjustTime: () => setIsAdjustTimeOpen(true),
+        isAdjustTimeDisabled: !timerView.canAdjust,
+        onRemove,
+        // Only offered while this exam hasn't started
+        isRemoveDisabled: session.status !== 'idle',
+    };
+
+    // Everything the keyboard shortcuts and command palette can do to this exam (see commands.js)
+    const examCommands = {
+        ...controlActions,
+        label: examLabel,
+        status: session.status,
+        isExtraTimeEnabled,
+        isAutoStartEnabled,
+        timeRemainingSeconds,
+        onAdjustTime: adjustTime,
+        onSetTimeRemaining: setTimeRemaining,
+        onAddNote: eventLogProps.onAddNote,
+    };
+
+    // Handed over on every render, so the App always runs the current actions
+    useEffect(() => {
+        onCommandsChange(examId, examCommands);
+        return () => onCommandsChange(examId, null);
+    });
+
+    // Plain-language phase for the controller
+    const phaseLabel = session.status === 'idle' ? 'Not started'
+        : isReadingTime ? 'Reading time'
+        : timeRemainingSeconds > 0 ? 'Writing time'
+        : isExtraTimeEnabled && timeRemainingSeconds > extraTimeLimitSeconds ? 'Extra time'
+        : 'Finished';
+    
+    // --- Timeline Markers ---
+    // Every layout's timeline shares these: { time (the label), percent, isReading, isPassed }
+    const getTimelineMarkers = () => {
+        const labels = [];
+        const intervalMins = 15; // 15-minute markers as requested
+        
+
+        // Reading time sits above writing time on the same timeline
+        if (readingSeconds > 0) {
+            labels.push({
+                time: translate(primaryLanguage, 'markerReading'),
+                percent: 0,
+                isMajorLabel: true,
+                isReading: true,
+                markerTimeSeconds: 0
+            });
+        }
+
+        // Markers every 15 minutes, plus a Finish marker even if the writing time (with any
+        // adjustment) isn't a multiple of 15
+        const markerSeconds = [];
+        for (let seconds = 0; seconds < totalSeconds; seconds += intervalMins * 60) {
+            markerSeconds.push(seconds);
+        }
+        markerSeconds.push(totalSeconds);
+
+        for (const timeSeconds of markerSeconds) {
+            // Writing markers are offset by the reading time
+            const percent = ((readingSeconds + timeSeconds) / timelineSeconds) * 100;
+            
+            // Use the H:MM format helper
+            const timeLabel = formatTimeHMM(timeSeconds).replace('-', ''); // No negative sign for timeline markers
+
+            // All 15-minute markers are treated as major labels
+            const isMajorLabel = true; 
+
+            labels.push({ 
+                // UPDATED: Check for 'Start' (timeSeconds === 0) first, then 'Finish', then the formatted time
+                time: timeSeconds === 0 ? translate(primaryLanguage, 'markerStart') : (timeSeconds === totalSeconds ? translate(primaryLanguage, 'markerFinish') : timeLabel), 
+                percent, 
+                isMajorLabel,
+                isReading: false,
+                markerTimeSeconds: readingSeconds + timeSeconds // Store marker time in seconds (from the session start)
+            });
+        }
+        
+        return labels.map(label => {
+            // Check if the marker time has been passed/consumed
+            let isPassed = label.markerTimeSeconds <= sessionElapsedSeconds;
+            
+            // FIX: The 0:00 marker should only be marked as passed if sessionElapsedSeconds > 0.
+            // Also apply this logic if the label is 'Start' (or 'Reading')
+            if (label.markerTimeSeconds === 0) {
+                isPassed = sessionElapsedSeconds > 0;
+            }
+
+            return { ...label, isPassed };
+        });
+    };
+
+    // --- Vertical Timeline Label Rendering Function ---
+    const renderVerticalTimelineLabels = () => {
+        return getTimelineMarkers().map((label, index) => {
+            const { isPassed } = label;
+            const topPosition = label.percent;
+            
+            // Passed markers use the theme's passed colour. Unpassed markers use the text colour (reading colour for reading time).
+            const unpassedColor = label.isReading ? theme.reading : theme.text;
+            const labelClasses = `${isCompact ? 'text-xl' : 'text-3xl'} font-medium whitespace-nowrap block`;
+            const markerColor = isPassed ? theme.passed : unpassedColor;
+            
+            return (
+                <div 
+                    key={index}
+                    // Absolute positioning within the container
+                    className="absolute w-full flex items-center justify-end"
+                    // Corrected the closing quote for the transform style value from a backtick to a single quote.
+                    style={{ top: `${topPosition}%`, transform: 'translateY(-50%)' }} 
+                >
+                    {/* Text Label (H2 formatted style - now text-3xl) */}
+                    <span 
+                        className={`mr-4 ${labelClasses}`}
+                        style={{ color: markerColor }}
+                    >
+                        {/* Renders time as a simple string */}
+                        {label.time}
+                    </span>
+                    
+                    {/* Marker Indicator: Small circle/dot (REVERTED TO DOT) */}
+                    <div 
+                        className="w-4 h-4 rounded-full" // Increased dot size slightly for visibility
+                        style={{ backgroundColor: isPassed ? theme.passed : theme.text }}
+                    ></div>
+                </div>
+            );
+        });
+    };
+
+
+    // Text sizes shrink when several exams share the screen
+    const headingSize = isCompact ? 'text-2xl sm:text-3xl' : 'text-3xl sm:text-4xl';
+    const subheadingSize = isCompact ? 'text-xl sm:text-2xl' : 'text-2xl sm:text-3xl';
+    const countdownSize = isCompact ? 'text-5xl sm:text-6xl' : 'text-6xl sm:text-8xl';
+
+    // A catalogue label in every display language: the primary as is, a second language smaller below.
+    //   getParams: placeholder values for a language (e.g. a time formatted in its locale)
+    const renderLabel = (key, getParams = () => ({})) => languages.map((language, index) => (
+        <span key={language} className={index > 0 ? `block mt-1 ${subheadingSize} font-medium` : 'block'}>
+            {translate(language, key, getParams(language))}
+        </span>
+    ));
+
+    // Start/Pause, Reset, Extra Time, Auto-Start and Setup for this exam. Faded on the projected
+    // screen, brighter on hover, keyboard focus and while switched on (see faded-control in Clock.jsx).
+    const controls = (
+        <div role="group" aria-label={`${examLabel} controls`} className="flex justify-center items-center space-x-12">
+            {/* Exam label, only needed to tell the rows apart when there are several */}
+            {isCompact && (
+                <span className="font-semibold text-white faded-control">
+                    {examLabel}
+                </span>
+            )}
+
+            {/* Start/Pause Button */}
+            <button
+                onClick={controlActions.onToggle}
+                className="font-semibold text-white faded-control"
+                disabled={controlActions.isStartDisabled}
+            >
+                {isPaused ? 'Start' : 'Pause'}
+            </button>
+            
+            {/* Reset Button (swapped for Confirm Reset and Cancel until answered) */}
+            {isConfirmingReset ? (
+                <>
+                    <button
+                        onClick={confirmReset}
+                        className="font-semibold text-red-400 faded-control is-active"
+                    >
+                        Confirm Reset
+                    </button>
+                    <button
+                        onClick={() => setIsConfirmingReset(false)}
+                        className="font-semibold text-white faded-control is-active"
+                    >
+                        Cancel
+                    </button>
+                </>
+            ) : (
+                <button
+                    onClick={() => setIsConfirmingReset(true)}
+                    className="font-semibold text-white faded-control"
+                >
+                    Reset
+                </button>
+            )}
+
+            {/* Configuration Control: Extra Time Toggle */}
+            <button
+                onClick={controlActions.onToggleExtraTime}
+                className="font-semibold text-white faded-control"
+                disabled={controlActions.isExtraTimeDisabled}
+            >
+                Extra Time: {isExtraTimeEnabled ? 'ON' : 'OFF'}
+            </button>
+            
+            {/* NEW: Auto-Start Toggle */}
+            <button
+                onClick={controlActions.onToggleAutoStart}
+                className={`font-semibold text-white faded-control ${isAutoStartEnabled ? 'is-active' : ''}`}
+                disabled={controlActions.isAutoStartDisabled}
+            >
+                Auto-Start: {isAutoStartEnabled ? 'ON' : 'OFF'}
+            </button>
+
+            {/* Setup Button: reopens the setup screen before the exam starts */}
+            <button
+                onClick={controlActions.onOpenSetup}
+                className="font-semibold text-white faded-control"
+                disabled={controlActions.isSetupDisabled}
+            >
+                Setup
+            </button>
+
+            {/* Adjust Time Button: add or take off minutes once the exam has started */}
+            <button
+                onClick={controlActions.onOpenAdjustTime}
+                className="font-semibold text-white faded-control"
+                disabled={controlActions.isAdjustTimeDisabled}
+            >
+                Adjust Time
+            </button>
+
+            {/* Candidates Button: special conditions extra time and rest breaks */}
+            <button
+                onClick={controlActions.onOpenCandidates}
+                className="font-semibold text-white faded-control"
+            >
+                Candidates
+            </button>
+
+            {/* Messages Button: edit the status messages and when they show */}
+            <button
+                onClick={controlActions.onOpenMessages}
+                className="font-semibold text-white faded-control"
+            >
+                Messages
+            </button>
+
+            {/* Out of Room Button: sign candidates out and back in (brighter while anyone is out) */}
+            <button
+                onClick={controlActions.onOpenLeave}
+                className={`font-semibold text-white faded-control ${isAnyoneOut ? 'is-active' : ''}`}
+            >
+                Out of Room{isAnyoneOut ? `: ${outOfRoom.length}` : ''}
+            </button>
+
+            {/* Log Button: event log, incident notes and exports */}
+            <button
+                onClick={() => setIsLogOpen(true)}
+                className="font-semibold text-white faded-control"
+            >
+                Log
+            </button>
+
+            {/* Remove Button: only offered while this exam hasn't started */}
+            {onRemove && (
+                <button
+                    onClick={controlActions.onRemove}
+                    className="font-semibold text-white faded-control"
+                    disabled={controlActions.isRemoveDisabled}
+                >
+                    Remove
+                </button>
+            )}
+        </div>
+    );
+
+    // Pre-exam setup screen (never on the projected display)
+    const setupPanel = isSetupOpen && isSetupAllowed && view !== 'display' && (
+        <SetupPanel
+            config={config}
+            locale={getLocale(primaryLanguage)}
+            onSave={saveConfig}
+            onCancel={() => setIsSetupOpen(false)}
+        />
+    );
+
+    // Special conditions editor (never on the projected display)
+    const candidatesPanel = isCandidatesOpen && view !== 'display' && (
+        <CandidatesPanel
+            candidates={candidates}
+            onChange={setCandidates}
+            onClose={() => setIsCandidatesOpen(false)}
+        />
+    );
+
+    // Status message editor (never on the projected display)
+    const messagesPanel = isMessagesOpen && view !== 'display' && (
+        <MessagesPanel
+            messages={config.messages}
+            onSave={(messages) => {
+                setConfig(prev => ({ ...prev, messages }));
+                setIsMessagesOpen(false);
+            }}
+            onClose={() => setIsMessagesOpen(false)}
+        />
+    );
+
+    // Add / take off time (never on the projected display)
+    const adjustTimePanel = isAdjustTimeOpen && session.status !== 'idle' && view !== 'display' && (
+        <AdjustTimePanel
+            label={examLabel}
+            timeRemainingSeconds={timeRemainingSeconds}
+            adjustedSeconds={session.adjustedSeconds}
+            onAdjust={adjustTime}
+            onSetRemaining={setTimeRemaining}
+            onClose={() => setIsAdjustTimeOpen(false)}
+        />
+    );
+
+    // Temporary leave sign-out (never on the projected display)
+    const leavePanel = isLeaveOpen && view !== 'display' && (
+        <LeavePanel
+            label={examLabel}
+            leaves={leaves}
+            now={now}
+            limitMinutes={config.leaveLimitMinutes}
+            warnings={leaveWarnings}
+            ruleNote={isRestricted ? `Candidates may not leave in the first ${config.restrictionMinutes} minutes.`
+                : isWarning ? `Candidates may not leave in the final ${config.warningMinutes} minutes.`
+                : null}
+            onSignOut={signOut}
+            onSignIn={signIn}
+            onClose={() => setIsLeaveOpen(false)}
+        />
+    );
+
+    if (view === 'controller') {
+        return (
+            <>
+                <ControllerCard
+                    label={examLabel}
+                    title={config.title}
+                    phaseLabel={phaseLabel}
+                    countdown={formatTimeHHMMSS(isReadingTime ? readingRemainingSeconds : timeRemainingSeconds)}
+                    isPaused={isPaused}
+                    isExtraTimeEnabled={isExtraTimeEnabled}
+                    isAutoStartEnabled={isAutoStartEnabled}
+                    autoStartLabel={scheduledStart && translate(primaryLanguage, 'autoStartOn', {
+                        time: formatTimeOfDay(scheduledStart.startTime, getLocale(primaryLanguage), { hour12: true }),
+                    })}
+                    outOfRoomCount={outOfRoom.length}
+                    leaveWarnings={leaveWarnings}
+                    eventLog={eventLogProps}
+                    controls={controlActions}
+                />
+                {setupPanel}
+                {candidatesPanel}
+                {messagesPanel}
+                {adjustTimePanel}
+                {leavePanel}
+            </>
+        );
+    }
+
+    // --- Display Building Blocks (shared by the layouts) ---
+
+    // Countdown label, H:MM:SS countdown and the time adjusted notice.
+    //   style: overrides the countdown's size (the countdown-only layout scales it to the screen)
+    const renderCountdown = (style) => (
+        <div className="text-center"> 
+            <p className={`${headingSize} font-semibold mb-2`} style={{ color: theme.text }}>
+                {renderLabel(isReadingTime ? 'readingTimeRemaining' : 'timeRemaining')}
+            </p>
+            {/* Renders H:MM:SS countdown (reading time countdown during the reading phase) */}
+            <p role="timer" className={`${style ? 'leading-none' : countdownSize} font-extrabold`} style={{ color: digitalColor, ...style }}>
+                {formatTimeHHMMSS(isReadingTime ? readingRemainingSeconds : timeRemainingSeconds)}
+            </p>
+            {/* Shown for a while after the invigilator adds or takes off time */}
+            {isAdjustmentNoticeShown && (
+                <p className={`mt-4 ${subheadingSize} font-bold`} style={{ color: theme.reading }}>
+                    {renderLabel('timeAdjusted', () => ({ amount: formatTimeAdjustment(session.lastAdjustment.seconds) }))}
+                </p>
+            )}
+        </div>
+    );
+
+    // NEW: Auto-Start Scheduled Message
+    const autoStartNotice = isAutoStartEnabled && isPaused && scheduledStart && (
+        <p className={`${headingSize} font-bold mb-4 text-center`} style={{ color: theme.reading }}>
+            {renderLabel(readingSeconds > 0 ? 'autoStartingReadingAt' : 'autoStartingAt', language => ({
+                time: formatTimeOfDay(scheduledStart.startTime, getLocale(language), { hour12: true }),
+            }))}
+        </p>
+    );
+
+    const extraTimeNotice = timeRemainingSeconds < 0 && isExtraTimeEnabled && (
+        // Extra Time Display (Only if enabled and hasn't hit the hard stop)
+        <p className={`mt-4 ${headingSize} font-bold`} style={{ color: theme.alert }}> 
+            {renderLabel('extraTime', () => ({ time: formatTimeMMSS(timeRemainingSeconds) }))}
+        </p>
+    );
+
+    // Status/Warning Message: text-left for alignment, and font sizes matched
+    const statusMessages = (
+        <div className={`${isCompact ? 'mt-8' : 'mt-16'} w-full max-w-xl text-left p-4 rounded-lg`}>
+            {autoStartNotice}
+
+            {/* Status messages in their window, highest priority first (see messages.js),
+                each in every display language */}
+            {activeMessages.map((message, index) => (
+                <div key={message.id} className={index > 0 ? 'mt-4' : ''} style={{ color: resolveThemeColor(message.color, theme) }}>
+                    {languages.map((language, languageIndex) => {
+                        const { text, detail } = getMessageText(message, language);
+                        return (
+                            <div key={language} className={languageIndex > 0 ? 'mt-3' : ''}>
+                                <p className={`${languageIndex > 0 ? subheadingSize : headingSize} ${message.bold ? 'font-bold' : 'font-medium'} ${detail ? 'mb-2' : ''}`}>
+                                    {fillPlaceholders(text, config)}
+                                </p>
+                                {detail && (
+                                    <p className={`${subheadingSize} font-medium`}>
+                                        {fillPlaceholders(detail, config)}
+                                    </p>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            ))}
+            {extraTimeNotice}
+        </div>
+    );
+
+    // Individual finish times for candidates with special conditions
+    const candidateFinishTimes = (
+        <CandidateFinishTimes
+            candidates={candidates}
+            writingEndAt={writingEndAt}
+            pausedAfterWritingMs={pausedAfterWritingMs}
+            isWritingOver={isFinished}
+            now={now}
+            theme={theme}
+            language={primaryLanguage}
+            isCompact={isCompact}
+        />
+    );
+
+    // --- Layout Rendering Function (see layouts.js) ---
+    const renderLayout = () => {
+        if (layout === 'countdown') {
+            // Just the countdown, sized to the screen (smaller when several exams share it)
+            return (
+                <div className="flex flex-col items-center w-full pt-8">
+                    {renderCountdown({ fontSize: isCompact ? 'min(7vw, 25vh)' : 'min(18vw, 40vh)' })}
+                    {autoStartNotice && <div className="mt-8">{autoStartNotice}</div>}
+                    {extraTimeNotice}
+                </div>
+            );
+        }
+
+        if (layout === 'horizontal') {
+            return (
+                <div className="flex flex-col items-center w-full pt-8">
+                    {renderCountdown()}
+                    <div className={`w-full ${isCompact ? 'mt-8' : 'mt-16'}`}>
+                        <HorizontalTimeline
+                            markers={getTimelineMarkers()}
+                            progressPercent={progressPercent}
+                            theme={theme}
+                            isCompact={isCompact}
+                        />
+                    </div>
+                    {statusMessages}
+                    {candidateFinishTimes}
+                </div>
+            );
+        }
+
+        if (layout === 'analog') {
+            // Clock face beside the countdown on wide screens, above it on narrow ones
+            return (
+                <div className={`flex flex-col ${isCompact ? '' : 'xl:flex-row xl:items-start xl:space-x-16'} items-center justify-center w-full pt-8`}>
+                    <AnalogClockFace
+                        markers={getTimelineMarkers()}
+                        progressPercent={progressPercent}
+                        readingPercent={readingPercent}
+                        theme={theme}
+                        isCompact={isCompact}
+                    />
+                    <div className="flex flex-col items-center mt-8">
+                        {renderCountdown()}
+                        {statusMessages}
+                        {candidateFinishTimes}
+                    </div>
+                </div>
+            );
+        }
+
+        return (
+            // Horizontal Flex Container for Vertical Bar and Clock/Timer
+            <div className={`flex flex-col md:flex-row items-center md:items-start justify-center w-full mx-auto pt-8 ${isCompact ? '' : 'max-w-4xl'}`}>
+
+                {/* 1. Vertical Timeline (Left Side): scales with the screen height, within limits */}
+                <div className={`w-full flex justify-center md:justify-end items-start mb-8 md:mb-0 ${isCompact ? 'md:w-24 h-[clamp(400px,55vh,700px)] md:mr-8' : 'md:w-32 h-[clamp(500px,65vh,900px)] md:mr-16'}`}>
+                    {/* Timeline container: Relative for absolute positioning of labels */}
+                    <div className={`${isCompact ? 'w-32' : 'w-48'} h-full relative`}> 
+
+                        {/* Progress track behind the dots: fills in the passed colour as writing time is used */}
+                        <div className="absolute right-[7px] top-0 w-0.5 h-full" style={{ backgroundColor: theme.track }}>
+                            <div className="w-full" style={{ height: `${progressPercent}%`, backgroundColor: theme.passed }}></div>
+                        </div>
+                        
+                        {/* Timeline Labels and Ticks */}
+                        {renderVerticalTimelineLabels()}
+                    </div>
+                </div>
+
+
+                {/* 2. Main Timer Content (Center) */}
+                <div className="flex-grow flex flex-col items-center mt-1"> 
+                    
+                    {/* Digital Countdown Timer */}
+                    {renderCountdown()}
+                    
+                    {statusMessages}
+
+                    {candidateFinishTimes}
+
+                </div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="flex flex-col items-center w-full">
+
+            {/* Exam heading: course code and title (if set) */}
+            {(config.courseCode || config.title) && (
+                <div className="text-center mb-8">
+                    <p className={`${headingSize} font-bold`} style={{ color: theme.text }}>{config.courseCode}</p>
+                    <p className={`${subheadingSize} font-medium`} style={{ color: theme.subtle }}>{config.title}</p>
+                </div>
+            )}
+
+            {renderLayout()}
+
+            {/* Screen reader announcements, in the primary display language: phase changes
+                interrupt, time updates wait their turn */}
+            <div className="sr-only" lang={primaryLanguage}>
+                <p aria-live="assertive" aria-atomic="true">{announcements.phase}</p>
+                <p role="status" aria-atomic="true">{announcements.time}</p>
+            </div>
+
+            {/* Controls live in the App's fixed bottom bar (the projected display has none) */}
+            {view === 'standalone' && controlsContainer && createPortal(controls, controlsContainer)}
+
+            {/* Candidates out too long, or still out in the final window, whether or not the
+                Out of Room panel is open (the controller shows these on its card) */}
+            {view === 'standalone' && warningsContainer && createPortal(leaveWarnings.map(warning => (
+                <div key={warning} className="px-4 py-1 rounded bg-red-700 text-white font-semibold">
+                    {isCompact ? `${examLabel}: ${warning}` : warning}
+                </div>
+            )), warningsContainer)}
+
+            {setupPanel}
+            {candidatesPanel}
+            {messagesPanel}
+            {adjustTimePanel}
+            {leavePanel}
+
+            {/* Milestone alert banner */}
+            {activeAlert && (
+                <AlertBanner
+                    alert={activeAlert}
+                    lines={languages.map(language => translate(language, `alert.${activeAlert.id}`))}
+                    label={isCompact ? examLabel : null}
+                    onDismiss={() => setActiveAlert(null)}
+                />
+            )}
+
+            {/* Event log overlay (standalone screen only; the controller shows the log on its card) */}
+            {isLogOpen && view === 'standalone' && (
+                <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+                    <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-8 text-left">
+                        <div className="flex justify-between items-center mb-4">
+                            <h1 className="text-3xl font-bold text-white">Event Log: {examLabel}</h1>
+                            <button onClick={() => setIsLogOpen(false)} className="font-semibold text-gray-400 hover:text-white">
+                                Close
+                            </button>
+                        </div>
+                        <EventLog {...eventLogProps} />
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExamTimer;
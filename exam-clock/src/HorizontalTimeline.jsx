@@ -0,0 +1,48 @@
+import React from 'react';
+
+// --- Horizontal Timeline Component ---
+// The exam timeline as a bar across the screen (for ultra-wide screens): reading time then
+// writing time, filling in as time is used, with the same markers as the vertical timeline.
+//   markers:         [{ time, percent, isReading, isPassed }] along the whole timeline
+//   progressPercent: how much of the timeline has been used
+const HorizontalTimeline = ({ markers, progressPercent, theme, isCompact }) => (
+    // Side padding so the Start and Finish labels at either end stay on screen
+    <div className={`w-full ${isCompact ? 'px-8' : 'px-16'}`}>
+        <div className={`relative w-full ${isCompact ? 'h-16' : 'h-24'}`}>
+            {/* Marker labels above the bar */}
+            {markers.map((marker, index) => (
+                <span
+                    key={index}
+                    className={`absolute top-0 ${isCompact ? 'text-lg' : 'text-2xl'} font-medium whitespace-nowrap`}
+                    style={{
+                        left: `${marker.percent}%`,
+                        transform: 'translateX(-50%)',
+                        color: marker.isPassed ? theme.passed : (marker.isReading ? theme.reading : theme.text),
+                    }}
+                >
+                    {marker.time}
+                </span>
+            ))}
+
+            {/* Track, filled in the passed colour as time is used */}
+            <div className="absolute bottom-2 left-0 w-full h-2 rounded-full" style={{ backgroundColor: theme.track }}>
+                <div className="h-full rounded-full" style={{ width: `${progressPercent}%`, backgroundColor: theme.passed }}></div>
+            </div>
+
+            {/* Marker dots on the track */}
+            {markers.map((marker, index) => (
+                <div
+                    key={index}
+                    className="absolute bottom-0 w-4 h-4 rounded-full"
+                    style={{
+                        left: `${marker.percent}%`,
+                        transform: 'translateX(-50%) translateY(-1px)',
+                        backgroundColor: marker.isPassed ? theme.passed : theme.text,
+                    }}
+                ></div>
+            ))}
+        </div>
+    </div>
+);
+
+export default HorizontalTimeline;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { LANGUAGES, DEFAULT_LANGUAGE_SETTING } from './i18n.js';
+
+const INPUT_CLASSES = 'w-64 ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white';
+
+// --- Language Panel Component ---
+// Overlay for choosing the projected screen's language, and optionally a second language shown
+// alongside it (dual-language mode). Applies to every window on Save.
+const LanguagePanel = ({ language, onSave, onClose }) => {
+    const [draft, setDraft] = useState(() => ({ ...DEFAULT_LANGUAGE_SETTING, ...language }));
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-8 text-left">
+                <h1 className="text-3xl font-bold mb-6 text-white">Display Language</h1>
+
+                <label className="flex items-center justify-between mb-4 text-xl text-white">
+                    <span>Language</span>
+                    <select
+                        value={draft.primary}
+                        onChange={(e) => setDraft(prev => ({ ...prev, primary: e.target.value }))}
+                        className={INPUT_CLASSES}
+                    >
+                        {Object.entries(LANGUAGES).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="flex items-center justify-between mb-4 text-xl text-white">
+                    <span>Second language</span>
+                    <select
+                        value={draft.secondary}
+                        onChange={(e) => setDraft(prev => ({ ...prev, secondary: e.target.value }))}
+                        className={INPUT_CLASSES}
+                    >
+                        <option value="">None</option>
+                        {Object.entries(LANGUAGES)
+                            .filter(([value]) => value !== draft.primary)
+                            .map(([value, { label }]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                    </select>
+                </label>
+
+                <p className="text-gray-400 mb-6">
+                    The second language is shown under each status message, heading and alert.
+                    Custom status messages need their translations entered under Messages.
+                </p>
+
+                <div className="flex justify-end space-x-4">
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onSave({
+                            ...draft,
+                            secondary: draft.secondary === draft.primary ? '' : draft.secondary,
+                        })}
+                        className="font-semibold text-white"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LanguagePanel;
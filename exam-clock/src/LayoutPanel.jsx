@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { LAYOUTS } from './layouts.js';
+
+// --- Layout Panel Component ---
+// Overlay for choosing how the projected screen draws the exams (see layouts.js).
+// Applies to every window on Save, and can be changed mid-exam.
+const LayoutPanel = ({ layout, onSave, onClose }) => {
+    const [draft, setDraft] = useState(layout);
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-8 text-left">
+                <h1 className="text-3xl font-bold mb-6 text-white">Display Layout</h1>
+
+                {Object.entries(LAYOUTS).map(([value, { label, description }]) => (
+                    <label key={value} className="flex items-start mb-4 text-white cursor-pointer">
+                        <input
+                            type="radio"
+                            name="layout"
+                            value={value}
+                            checked={draft === value}
+                            onChange={() => setDraft(value)}
+                            className="mt-2 mr-4"
+                        />
+                        <span>
+                            <span className="block text-xl">{label}</span>
+                            <span className="block text-gray-400">{description}</span>
+                        </span>
+                    </label>
+                ))}
+
+                <div className="flex justify-end space-x-4 mt-6">
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Cancel
+                    </button>
+                    <button onClick={() => onSave(draft)} className="font-semibold text-white">
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default LayoutPanel;
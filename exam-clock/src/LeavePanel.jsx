@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { SEAT_MAX_LENGTH, getOutOfRoom, formatLeaveTime, isLeaveOverdue } from './leaves.js';
+import { formatTimeOfDay } from './timeUtils.js';
+
+const BUTTON_CLASSES = 'px-4 py-1 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800';
+
+const formatClockTime = (at) => formatTimeOfDay(at, 'en-US', { hour12: true });
+
+// --- Leave Panel Component ---
+// Overlay for signing candidates out of the room and back in by seat number, with who is out
+// now and for how long. Overdue candidates are shown in red.
+//   leaves:       this exam's leave records (see leaves.js)
+//   now:          current time, for the time out so far
+//   limitMinutes: time out before a candidate is overdue
+//   warnings:     warnings about candidates still out (see getLeaveWarnings)
+//   ruleNote:     the leaving rule in force right now, if any (e.g. the first 45 minutes)
+//   onSignOut:    called with a seat; returns a list of problems (empty once signed out)
+//   onSignIn:     called with the id of the leave to end
+const LeavePanel = ({ label, leaves, now, limitMinutes, warnings, ruleNote, onSignOut, onSignIn, onClose }) => {
+    const [seat, setSeat] = useState('');
+    const [errors, setErrors] = useState([]);
+
+    const out = getOutOfRoom(leaves);
+    // Most recent first
+    const returned = leaves.filter(leave => leave.backAt !== null).reverse();
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        const signOutErrors = onSignOut(seat);
+        setErrors(signOutErrors);
+        if (signOutErrors.length === 0) setSeat('');
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-8 text-left text-white">
+                <div className="flex justify-between items-center mb-4">
+                    <h1 className="text-3xl font-bold">Out of Room: {label}</h1>
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Close
+                    </button>
+                </div>
+
+                {warnings.length > 0 && (
+                    <ul className="mb-4 p-3 rounded border border-red-500 text-red-400 font-semibold">
+                        {warnings.map(warning => <li key={warning}>{warning}</li>)}
+                    </ul>
+                )}
+                {ruleNote && <p className="mb-4 text-yellow-400">{ruleNote}</p>}
+
+                {/* Sign a candidate out */}
+                <form onSubmit={handleSubmit} className="flex items-center gap-3 mb-2">
+                    <label htmlFor="leave-seat" className="text-xl">Seat</label>
+                    <input
+                        id="leave-seat"
+                        type="text"
+                        maxLength={SEAT_MAX_LENGTH}
+                        value={seat}
+                        placeholder="B12"
+                        onChange={(e) => setSeat(e.target.value)}
+                        className="w-32 px-2 py-1 rounded bg-black border border-gray-600 text-white font-mono"
+                    />
+                    <button type="submit" className={BUTTON_CLASSES}>
+                        Sign Out
+                    </button>
+                </form>
+                {errors.length > 0 && (
+                    <ul className="text-red-400">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+
+                {/* Who is out now */}
+                <h2 className="text-xl font-semibold mt-6 mb-2">Out now ({out.length})</h2>
+                {out.length === 0 ? (
+                    <p className="text-gray-400">Everyone is in the room.</p>
+                ) : (
+                    <table className="w-full">
+                        <thead>
+                            <tr className="text-gray-400">
+                                <th className="text-left font-medium">Seat</th>
+                                <th className="text-left font-medium">Since</th>
+                                <th className="text-right font-medium">Time out</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {out.map(leave => (
+                                <tr key={leave.id} className={isLeaveOverdue(leave, now, limitMinutes) ? 'text-red-400 font-semibold' : ''}>
+                                    <td className="font-mono">{leave.seat}</td>
+                                    <td>{formatClockTime(leave.outAt)}</td>
+                                    <td className="text-right font-mono">{formatLeaveTime(leave, now)}</td>
+                                    <td className="text-right">
+                                        <button onClick={() => onSignIn(leave.id)} className="text-gray-300 hover:text-white">
+                                            Signed In
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                {/* Earlier leaves this exam */}
+                {returned.length > 0 && (
+                    <>
+                        <h2 className="text-xl font-semibold mt-6 mb-2">Back in the room</h2>
+                        <ol className="max-h-40 overflow-y-auto font-mono text-gray-300">
+                            {returned.map(leave => (
+                                <li key={leave.id}>
+                                    {leave.seat}: {formatClockTime(leave.outAt)} to {formatClockTime(leave.backAt)} ({formatLeaveTime(leave, now)})
+                                </li>
+                            ))}
+                        </ol>
+                    </>
+                )}
+
+                <p className="mt-6 text-gray-400">
+                    Candidates are overdue after {limitMinutes} minutes out (set on the setup screen).
+                    Leave records are included in the printed report.
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default LeavePanel;
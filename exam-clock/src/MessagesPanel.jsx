@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import {
+    MESSAGE_ANCHORS,
+    WINDOWED_ANCHORS,
+    LINKED_BOUNDS,
+    DEFAULT_MESSAGES,
+    createMessageId,
+    validateMessages,
+} from './messages.js';
+import { THEME_COLOR_TOKENS } from './theme.js';
+import { LANGUAGES } from './i18n.js';
+
+// Languages a message can be translated into (the main wording is English)
+const TRANSLATED_LANGUAGES = Object.keys(LANGUAGES).filter(language => language !== 'en');
+
+const INPUT_CLASSES = 'px-2 py-1 rounded bg-black border border-gray-600 text-white';
+
+// Window bounds are edited as text: a number of minutes, or a linked setting name
+const boundToText = (bound) => String(bound);
+const textToBound = (text) => {
+    const trimmed = text.trim();
+    if (trimmed in LINKED_BOUNDS) return trimmed;
+    return trimmed === '' ? NaN : Number(trimmed);
+};
+
+// --- Messages Panel Component ---
+// Overlay for editing the status messages: wording, the window each one shows in, its priority
+// and colour. Changes only apply on Save, and can be made during the exam.
+const MessagesPanel = ({ messages, onSave, onClose }) => {
+    const [draft, setDraft] = useState(() => messages.map(message => ({
+        ...message,
+        from: boundToText(message.from),
+        to: boundToText(message.to),
+        priority: String(message.priority),
+    })));
+    const [errors, setErrors] = useState([]);
+
+    const updateMessage = (id, changes) => {
+        setDraft(prev => prev.map(message => (message.id === id ? { ...message, ...changes } : message)));
+    };
+
+    const updateTranslation = (message, language, changes) => {
+        const current = message.translations?.[language] ?? { text: '', detail: '' };
+        updateMessage(message.id, {
+            translations: { ...message.translations, [language]: { ...current, ...changes } },
+        });
+    };
+
+    const addMessage = () => {
+        setDraft(prev => [...prev, {
+            id: createMessageId(),
+            text: '',
+            detail: '',
+            anchor: 'elapsed',
+            from: '0',
+            to: '5',
+            priority: '50',
+            color: 'text',
+            bold: false,
+            translations: {},
+        }]);
+    };
+
+    const resetToDefaults = () => {
+        setDraft(DEFAULT_MESSAGES.map(message => ({
+            ...message,
+            from: boundToText(message.from),
+            to: boundToText(message.to),
+            priority: String(message.priority),
+        })));
+    };
+
+    const handleSave = () => {
+        const nextMessages = draft.map(message => ({
+            ...message,
+            text: message.text.trim(),
+            detail: message.detail.trim(),
+            // Blank translations are dropped so the English shows instead
+            translations: Object.fromEntries(Object.entries(message.translations ?? {})
+                .map(([language, { text, detail }]) => [language, { text: text.trim(), detail: detail.trim() }])
+                .filter(([, { text }]) => text !== '')),
+            from: textToBound(message.from),
+            to: textToBound(message.to),
+            priority: message.priority.trim() === '' ? NaN : Number(message.priority),
+        }));
+
+        const validationErrors = validateMessages(nextMessages);
+        if (validationErrors.length > 0) {
+            setErrors(validationErrors);
+            return;
+        }
+        onSave(nextMessages);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-4xl max-h-[90vh] overflow-y-auto bg-gray-900 border border-gray-700 rounded-lg p-8 text-left">
+                <h1 className="text-3xl font-bold mb-2 text-white">Status Messages</h1>
+                <p className="text-gray-400 mb-6">
+                    All messages in their window are shown, highest priority first.
+                    From / To take minutes, or "restriction" / "warning" to follow the setup screen.
+                </p>
+
+                {draft.map((message, index) => (
+                    <div key={message.id} className="mb-6 p-4 border border-gray-700 rounded-lg">
+                        <div className="flex justify-between items-center mb-2">
+                            <span className="font-semibold text-white">Message {index + 1}</span>
+                            <button
+                                onClick={() => setDraft(prev => prev.filter(m => m.id !== message.id))}
+                                className="text-gray-400 hover:text-white"
+                            >
+                                Remove
+                            </button>
+                        </div>
+
+                        <input
+                            type="text"
+                            value={message.text}
+                            onChange={(e) => updateMessage(message.id, { text: e.target.value })}
+                            placeholder="Message"
+                            aria-label="Message"
+                            className={`w-full mb-2 ${INPUT_CLASSES}`}
+                        />
+                        <input
+                            type="text"
+                            value={message.detail}
+                            onChange={(e) => updateMessage(message.id, { detail: e.target.value })}
+                            placeholder="Second line (optional)"
+                            aria-label="Second line"
+                            className={`w-full mb-2 ${INPUT_CLASSES}`}
+                        />
+
+                        {/* Wording for the other display languages */}
+                        <details className="mb-2 text-white">
+                            <summary className="cursor-pointer text-gray-400">Translations</summary>
+                            {TRANSLATED_LANGUAGES.map(language => (
+                                <div key={language} className="mt-2">
+                                    <span className="text-gray-400">{LANGUAGES[language].label}</span>
+                                    <input
+                                        type="text"
+                                        value={message.translations?.[language]?.text ?? ''}
+                                        onChange={(e) => updateTranslation(message, language, { text: e.target.value })}
+                                        placeholder="Message"
+                                        aria-label={`Message (${LANGUAGES[language].label})`}
+                                        className={`w-full mt-1 ${INPUT_CLASSES}`}
+                                    />
+                                    <input
+                                        type="text"
+                                        value={message.translations?.[language]?.detail ?? ''}
+                                        onChange={(e) => updateTranslation(message, language, { detail: e.target.value })}
+                                        placeholder="Second line (optional)"
+                                        aria-label={`Second line (${LANGUAGES[language].label})`}
+                                        className={`w-full mt-1 ${INPUT_CLASSES}`}
+                                    />
+                                </div>
+                            ))}
+                        </details>
+
+                        <div className="flex flex-wrap items-center gap-3 text-white">
+                            <select
+                                value={message.anchor}
+                                onChange={(e) => updateMessage(message.id, { anchor: e.target.value })}
+                                aria-label="Shown"
+                                className={INPUT_CLASSES}
+                            >
+                                {Object.entries(MESSAGE_ANCHORS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+
+                            {WINDOWED_ANCHORS.includes(message.anchor) && (
+                                <>
+                                    <label>
+                                        From{' '}
+                                        <input
+                                            type="text"
+                                            value={message.from}
+                                            onChange={(e) => updateMessage(message.id, { from: e.target.value })}
+                                            className={`w-28 ${INPUT_CLASSES}`}
+                                        />
+                                    </label>
+                                    <label>
+                                        To{' '}
+                                        <input
+                                            type="text"
+                                            value={message.to}
+                                            onChange={(e) => updateMessage(message.id, { to: e.target.value })}
+                                            className={`w-28 ${INPUT_CLASSES}`}
+                                        />
+                                    </label>
+                                </>
+                            )}
+
+                            <label>
+                                Priority{' '}
+                                <input
+                                    type="number"
+                                    step="1"
+                                    value={message.priority}
+                                    onChange={(e) => updateMessage(message.id, { priority: e.target.value })}
+                                    className={`w-20 ${INPUT_CLASSES}`}
+                                />
+                            </label>
+                            <label>
+                                Colour{' '}
+                                <select
+                                    value={message.color in THEME_COLOR_TOKENS ? message.color : 'custom'}
+                                    onChange={(e) => updateMessage(message.id, {
+                                        color: e.target.value === 'custom' ? '#ffffff' : e.target.value,
+                                    })}
+                                    className={INPUT_CLASSES}
+                                >
+                                    {Object.entries(THEME_COLOR_TOKENS).map(([value, label]) => (
+                                        <option key={value} value={value}>{label}</option>
+                                    ))}
+                                    <option value="custom">Fixed colour</option>
+                                </select>
+                            </label>
+                            {/* Fixed colours stay the same whatever the theme */}
+                            {!(message.color in THEME_COLOR_TOKENS) && (
+                                <input
+                                    type="color"
+                                    value={message.color}
+                                    onChange={(e) => updateMessage(message.id, { color: e.target.value })}
+                                    aria-label="Fixed colour"
+                                    className="align-middle"
+                                />
+                            )}
+                            <label>
+                                <input
+                                    type="checkbox"
+                                    checked={message.bold}
+                                    onChange={(e) => updateMessage(message.id, { bold: e.target.checked })}
+                                    className="mr-1"
+                                />
+                                Bold
+                            </label>
+                        </div>
+                    </div>
+                ))}
+
+                {/* Validation errors */}
+                {errors.length > 0 && (
+                    <ul className="mb-4 text-red-400">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+
+                <div className="flex justify-between mt-6">
+                    <div className="space-x-4">
+                        <button onClick={addMessage} className="font-semibold text-white">
+                            Add Message
+                        </button>
+                        <button onClick={resetToDefaults} className="font-semibold text-gray-400 hover:text-white">
+                            Restore Defaults
+                        </button>
+                    </div>
+                    <div className="space-x-4">
+                        <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                            Cancel
+                        </button>
+                        <button onClick={handleSave} className="font-semibold text-white">
+                            Save
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MessagesPanel;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { DEFAULT_REMOTE_SYNC, REMOTE_ROLES, createRoomCode, validateRemoteSync } from './remoteSync.js';
+
+const INPUT_CLASSES = 'w-64 ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white';
+
+const STATE_LABELS = {
+    connecting: 'Connecting…',
+    connected: 'Connected',
+    disconnected: 'Disconnected, retrying…',
+};
+
+// --- Remote Sync Panel Component ---
+// Overlay for linking this screen's clock with clocks in other rooms through the sync server
+// (npm run sync-server). One room is the master; the others follow its starts, pauses and settings.
+//   remoteSync: the saved link settings
+//   status:     the link's current state (null while off)
+//   onSave:     called with the new settings (Connect / Disconnect)
+const RemoteSyncPanel = ({ remoteSync, status, onSave, onClose }) => {
+    const [draft, setDraft] = useState(() => ({ ...DEFAULT_REMOTE_SYNC, ...remoteSync }));
+    const [errors, setErrors] = useState([]);
+
+    const connect = () => {
+        const nextErrors = validateRemoteSync(draft);
+        setErrors(nextErrors);
+        if (nextErrors.length === 0) onSave({ ...draft, isEnabled: true });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl bg-gray-900 border border-gray-700 rounded-lg p-8 text-left text-white">
+                <div className="flex justify-between items-center mb-4">
+                    <h1 className="text-3xl font-bold">Multi-Room Sync</h1>
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Close
+                    </button>
+                </div>
+                <p className="text-gray-400 mb-6">
+                    Keeps clocks in several rooms in step. Give every room the same server and room code;
+                    the master room starts, pauses and sets up the exams, and the followers mirror it.
+                    Each room keeps its own event log and candidates.
+                </p>
+
+                <label className="flex items-center justify-between mb-4 text-xl">
+                    <span>Server</span>
+                    <input
+                        type="text"
+                        value={draft.url}
+                        disabled={remoteSync.isEnabled}
+                        onChange={(e) => setDraft(prev => ({ ...prev, url: e.target.value.trim() }))}
+                        className={INPUT_CLASSES}
+                    />
+                </label>
+
+                <label className="flex items-center justify-between mb-4 text-xl">
+                    <span>Room code</span>
+                    <span className="flex items-center">
+                        {!remoteSync.isEnabled && (
+                            <button
+                                onClick={() => setDraft(prev => ({ ...prev, room: createRoomCode() }))}
+                                className="font-semibold text-gray-400 hover:text-white text-base"
+                            >
+                                New Room Code
+                            </button>
+                        )}
+                        <input
+                            type="text"
+                            value={draft.room}
+                            disabled={remoteSync.isEnabled}
+                            onChange={(e) => setDraft(prev => ({ ...prev, room: e.target.value.trim().toUpperCase() }))}
+                            className={`${INPUT_CLASSES} w-40 font-mono`}
+                        />
+                    </span>
+                </label>
+
+                <label className="flex items-center justify-between mb-4 text-xl">
+                    <span>This room is</span>
+                    <select
+                        value={draft.role}
+                        disabled={remoteSync.isEnabled}
+                        onChange={(e) => setDraft(prev => ({ ...prev, role: e.target.value }))}
+                        className={INPUT_CLASSES}
+                    >
+                        {Object.entries(REMOTE_ROLES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {errors.length > 0 && (
+                    <ul className="mb-4 text-red-400 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+
+                {remoteSync.isEnabled && status && (
+                    <div className="mb-6 text-gray-300">
+                        <p className={status.state === 'connected' ? 'text-green-400' : 'text-yellow-400'}>
+                            {STATE_LABELS[status.state]}
+                        </p>
+                        {status.error && <p className="text-red-400">{status.error}</p>}
+                        {status.offsetMs !== null && (
+                            <p>
+                                Clock offset from server: {status.offsetMs > 0 ? '+' : ''}{status.offsetMs} ms
+                                (round trip {status.rttMs} ms)
+                            </p>
+                        )}
+                    </div>
+                )}
+
+                <div className="flex justify-end space-x-4">
+                    {remoteSync.isEnabled ? (
+                        <button
+                            onClick={() => onSave({ ...remoteSync, isEnabled: false })}
+                            className="font-semibold text-white"
+                        >
+                            Disconnect
+                        </button>
+                    ) : (
+                        <button onClick={connect} className="font-semibold text-white">
+                            Connect
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RemoteSyncPanel;
@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { AUTO_START_PHASES, CONFIG_FIELDS, TEXT_FIELDS, validateExamConfig } from './examConfig.js';
+import { parseTimetableText, formatTimetableText } from './schedule.js';
+import { ALERT_MILESTONES, ALERT_SOUNDS, ALERT_VISUALS } from './alerts.js';
+import { sittingToConfig } from './timetableImport.js';
+import TimetableImport from './TimetableImport.jsx';
+
+// --- Setup Panel Component ---
+// Pre-exam overlay where the invigilator names the exam and sets the duration and rule thresholds.
+// Values are edited as strings and only handed back to the App once they validate.
+//   locale: for times of day (the primary display language's, see i18n.js)
+const SetupPanel = ({ config, locale, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(() =>
+        Object.fromEntries(Object.keys(CONFIG_FIELDS).map(key => [key, String(config[key])]))
+    );
+    const [text, setText] = useState(() =>
+        Object.fromEntries(Object.keys(TEXT_FIELDS).map(key => [key, config[key]]))
+    );
+    const [autoStartPhase, setAutoStartPhase] = useState(config.autoStartPhase);
+    const [autoStartTime, setAutoStartTime] = useState(config.autoStartTime);
+    const [timetableText, setTimetableText] = useState(() => formatTimetableText(config.timetable));
+    const [alerts, setAlerts] = useState(config.alerts);
+    const [errors, setErrors] = useState([]);
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+
+        // Empty or non-numeric inputs become NaN and are caught by validation
+        const { entries: timetable, errors: timetableErrors } = parseTimetableText(timetableText);
+        const nextConfig = { ...config, autoStartPhase, autoStartTime, timetable, alerts };
+        Object.keys(TEXT_FIELDS).forEach(key => {
+            nextConfig[key] = text[key].trim();
+        });
+        Object.keys(CONFIG_FIELDS).forEach(key => {
+            nextConfig[key] = draft[key].trim() === '' ? NaN : Number(draft[key]);
+        });
+
+        const validationErrors = [...timetableErrors, ...validateExamConfig(nextConfig)];
+        if (validationErrors.length > 0) {
+            setErrors(validationErrors);
+            return;
+        }
+        onSave(nextConfig);
+    };
+
+    const toggleMilestone = (id) => {
+        setAlerts(prev => ({
+            ...prev,
+            milestones: prev.milestones.includes(id)
+                ? prev.milestones.filter(m => m !== id)
+                : [...prev.milestones, id],
+        }));
+    };
+
+    // Fill in the exam from a sitting picked from an imported timetable. The day's timetable is
+    // cleared, as it would override the sitting's start time and duration.
+    const applySitting = (sitting) => {
+        const { courseCode, title, durationMinutes, autoStartTime: startTime } = sittingToConfig(sitting);
+        setText(prev => ({ ...prev, courseCode, title }));
+        setDraft(prev => ({ ...prev, durationMinutes: String(durationMinutes) }));
+        setAutoStartTime(startTime);
+        setTimetableText('');
+    };
+
+    // Load a timetable saved as a plain text file (same format as the text box)
+    const loadTimetableFile = (event) => {
+        const [file] = event.target.files;
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => setTimetableText(String(reader.result));
+        reader.readAsText(file);
+        // Allow the same file to be picked again after editing it
+        event.target.value = '';
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <form onSubmit={handleSubmit} className="w-full max-w-xl max-h-[90vh] overflow-y-auto bg-gray-900 border border-gray-700 rounded-lg p-8 text-left">
+                <h1 className="text-3xl font-bold mb-6 text-white">Exam Setup</h1>
+
+                <TimetableImport locale={locale} onPickSitting={applySitting} />
+
+                {Object.entries(TEXT_FIELDS).map(([key, { label, maxLength }]) => (
+                    <label key={key} className="flex items-center justify-between mb-4 text-xl text-white">
+                        <span>{label}</span>
+                        <input
+                            type="text"
+                            maxLength={maxLength}
+                            value={text[key]}
+                            onChange={(e) => setText(prev => ({ ...prev, [key]: e.target.value }))}
+                            className="w-64 ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                        />
+                    </label>
+                ))}
+
+                {Object.entries(CONFIG_FIELDS).map(([key, { label, min, max }]) => (
+                    <label key={key} className="flex items-center justify-between mb-4 text-xl text-white">
+                        <span>{label} (minutes)</span>
+                        <input
+                            type="number"
+                            min={min}
+                            max={max}
+                            step="1"
+                            value={draft[key]}
+                            onChange={(e) => setDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                            className="w-28 ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white text-right"
+                        />
+                    </label>
+                ))}
+
+                {/* Only matters when there is reading time */}
+                <label className="flex items-center justify-between mb-4 text-xl text-white">
+                    <span>Auto-Start schedules</span>
+                    <select
+                        value={autoStartPhase}
+                        onChange={(e) => setAutoStartPhase(e.target.value)}
+                        className="ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                    >
+                        {Object.entries(AUTO_START_PHASES).map(([value, label]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {/* Exact start time; left empty, Auto-Start uses the next half hour */}
+                <label className="flex items-center justify-between mb-4 text-xl text-white">
+                    <span>Auto-Start time</span>
+                    <input
+                        type="time"
+                        value={autoStartTime}
+                        onChange={(e) => setAutoStartTime(e.target.value)}
+                        className="ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                    />
+                </label>
+
+                {/* Day's timetable: overrides the single start time and duration when filled in */}
+                <div className="mb-4 text-xl text-white">
+                    <span className="flex items-center justify-between">
+                        <span>Timetable (HH:MM minutes, one per line)</span>
+                        <input type="file" accept=".txt,text/plain" onChange={loadTimetableFile} className="text-sm w-48" />
+                    </span>
+                    <textarea
+                        rows={3}
+                        value={timetableText}
+                        onChange={(e) => setTimetableText(e.target.value)}
+                        placeholder={'09:30 180\n14:00 120'}
+                        aria-label="Timetable"
+                        className="w-full mt-2 px-2 py-1 rounded bg-black border border-gray-600 text-white font-mono"
+                    />
+                </div>
+
+                {/* Milestone alerts */}
+                <fieldset className="mb-4 text-xl text-white">
+                    <legend className="mb-2">Alerts</legend>
+                    <div className="grid grid-cols-2 gap-x-4 text-lg">
+                        {Object.entries(ALERT_MILESTONES).map(([id, { label }]) => (
+                            <label key={id} className="flex items-center">
+                                <input
+                                    type="checkbox"
+                                    checked={alerts.milestones.includes(id)}
+                                    onChange={() => toggleMilestone(id)}
+                                    className="mr-2"
+                                />
+                                {label}
+                            </label>
+                        ))}
+                    </div>
+                    <div className="flex gap-4 mt-2 text-lg">
+                        <select
+                            value={alerts.sound}
+                            onChange={(e) => setAlerts(prev => ({ ...prev, sound: e.target.value }))}
+                            aria-label="Alert sound"
+                            className="px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                        >
+                            {Object.entries(ALERT_SOUNDS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={alerts.visual}
+                            onChange={(e) => setAlerts(prev => ({ ...prev, visual: e.target.value }))}
+                            aria-label="Alert on screen"
+                            className="px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                        >
+                            {Object.entries(ALERT_VISUALS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+                </fieldset>
+
+                {/* Validation errors */}
+                {errors.length > 0 && (
+                    <ul className="mb-4 text-red-400">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+
+                <div className="flex justify-end space-x-4 mt-6">
+                    {onCancel && (
+                        <button type="button" onClick={onCancel} className="font-semibold text-gray-400 hover:text-white">
+                            Cancel
+                        </button>
+                    )}
+                    <button type="submit" className="font-semibold text-white">
+                        Save
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default SetupPanel;
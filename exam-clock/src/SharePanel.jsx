@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+
+// --- Share Panel Component ---
+// Overlay for sending this room's setup to other venues, as a link or a JSON file, and for
+// loading a setup file received from the exam office.
+//   link:          link that opens the current setup
+//   initialErrors: problems with a setup link this window was opened with
+//   onImport:      called with a file's text; returns a list of problems (empty once loaded)
+const SharePanel = ({ link, isLinkTooLong, initialErrors, onDownload, onImport, onClose }) => {
+    const [errors, setErrors] = useState(initialErrors);
+    const [status, setStatus] = useState('');
+
+    const copyLink = async () => {
+        try {
+            await navigator.clipboard.writeText(link);
+            setStatus('Link copied.');
+        } catch {
+            setStatus('Copy failed. Select the link and copy it by hand.');
+        }
+    };
+
+    const importFile = (event) => {
+        const [file] = event.target.files;
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const importErrors = onImport(String(reader.result));
+            setErrors(importErrors);
+            setStatus(importErrors.length === 0 ? `Loaded ${file.name}.` : '');
+        };
+        reader.readAsText(file);
+        event.target.value = '';
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl max-h-[90vh] overflow-y-auto bg-gray-900 border border-gray-700 rounded-lg p-8 text-left text-white">
+                <div className="flex justify-between items-center mb-4">
+                    <h1 className="text-3xl font-bold">Share Setup</h1>
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Close
+                    </button>
+                </div>
+                <p className="text-gray-400 mb-6">
+                    Every exam's settings, Extra Time and Auto-Start, the theme and the display language.
+                    Opening the link or loading the file replaces the setup on that screen.
+                </p>
+
+                {/* Link */}
+                <label className="block mb-2 text-xl" htmlFor="share-link">Link</label>
+                <textarea
+                    id="share-link"
+                    readOnly
+                    rows={3}
+                    value={link}
+                    onFocus={(e) => e.target.select()}
+                    className="w-full px-2 py-1 rounded bg-black border border-gray-600 text-white font-mono text-sm"
+                />
+                {isLinkTooLong && (
+                    <p className="mt-1 text-yellow-400">
+                        This link is very long (usually because of a logo) and may be cut off by email. Send the file instead.
+                    </p>
+                )}
+                <div className="flex gap-3 mt-2 mb-6">
+                    <button onClick={copyLink} className="px-4 py-1 rounded border border-gray-600 font-semibold hover:bg-gray-800">
+                        Copy Link
+                    </button>
+                    <button onClick={onDownload} className="px-4 py-1 rounded border border-gray-600 font-semibold hover:bg-gray-800">
+                        Download File
+                    </button>
+                </div>
+
+                {/* Import */}
+                <div className="flex items-center justify-between text-xl">
+                    <span>Load a setup file</span>
+                    <input type="file" accept=".json,application/json" onChange={importFile} className="text-sm text-gray-400" />
+                </div>
+
+                {status && <p className="mt-4 text-green-400">{status}</p>}
+
+                {/* Validation errors */}
+                {errors.length > 0 && (
+                    <ul className="mt-4 text-red-400">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SharePanel;
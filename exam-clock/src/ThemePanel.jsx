@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import {
+    THEME_PROFILES,
+    THEME_MODES,
+    THEME_FONTS,
+    DEFAULT_THEME,
+    MAX_LOGO_LENGTH,
+    resolveTheme,
+    validateTheme,
+} from './theme.js';
+
+const INPUT_CLASSES = 'px-2 py-1 rounded bg-black border border-gray-600 text-white';
+
+// --- Theme Panel Component ---
+// Overlay for choosing the branding profile, display mode and font. The custom profile takes
+// the institution's own name, colours and logo. Applies to every window on Save.
+const ThemePanel = ({ theme, onSave, onClose }) => {
+    const [draft, setDraft] = useState(() => ({
+        ...DEFAULT_THEME,
+        ...theme,
+        custom: { ...DEFAULT_THEME.custom, ...theme.custom },
+    }));
+    const [errors, setErrors] = useState([]);
+
+    const updateCustom = (changes) => {
+        setDraft(prev => ({ ...prev, custom: { ...prev.custom, ...changes } }));
+    };
+
+    // Logos are kept in the saved settings as a data URL, so they work offline
+    const loadLogoFile = (event) => {
+        const [file] = event.target.files;
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const logo = String(reader.result);
+            if (logo.length > MAX_LOGO_LENGTH) {
+                setErrors(['Logo must be an image file under 150 KB.']);
+                return;
+            }
+            updateCustom({ logo });
+        };
+        reader.readAsDataURL(file);
+        event.target.value = '';
+    };
+
+    const handleSave = () => {
+        const nextTheme = { ...draft, custom: { ...draft.custom, name: draft.custom.name.trim() } };
+
+        const validationErrors = validateTheme(nextTheme);
+        if (validationErrors.length > 0) {
+            setErrors(validationErrors);
+            return;
+        }
+        onSave(nextTheme);
+    };
+
+    // Preview of the draft on the projected screen's colours
+    const preview = resolveTheme(draft);
+
+    return (
+        <div className="fixed inset-0 bg-black/95 z-50 flex items-center justify-center p-4">
+            <div className="w-full max-w-xl max-h-[90vh] overflow-y-auto bg-gray-900 border border-gray-700 rounded-lg p-8 text-left">
+                <h1 className="text-3xl font-bold mb-6 text-white">Theme</h1>
+
+                <label className="flex items-center justify-between mb-4 text-xl text-white">
+                    <span>Profile</span>
+                    <select
+                        value={draft.profile}
+                        onChange={(e) => setDraft(prev => ({ ...prev, profile: e.target.value }))}
+                        className={`w-64 ml-4 ${INPUT_CLASSES}`}
+                    >
+                        {Object.entries(THEME_PROFILES).map(([value, { name }]) => (
+                            <option key={value} value={value}>{name}</option>
+                        ))}
+                        <option value="custom">Custom</option>
+                    </select>
+                </label>
+
+                {/* The institution's own branding */}
+                {draft.profile === 'custom' && (
+                    <fieldset className="mb-4 p-4 border border-gray-700 rounded-lg text-white">
+                        <legend className="px-2 text-xl">Custom Profile</legend>
+                        <label className="flex items-center justify-between mb-3">
+                            <span>Institution name</span>
+                            <input
+                                type="text"
+                                maxLength={60}
+                                value={draft.custom.name}
+                                onChange={(e) => updateCustom({ name: e.target.value })}
+                                className={`w-56 ml-4 ${INPUT_CLASSES}`}
+                            />
+                        </label>
+                        <label className="flex items-center justify-between mb-3">
+                            <span>Brand colour</span>
+                            <input
+                                type="color"
+                                value={draft.custom.brandColor}
+                                onChange={(e) => updateCustom({ brandColor: e.target.value })}
+                            />
+                        </label>
+                        <label className="flex items-center justify-between mb-3">
+                            <span>Accent colour</span>
+                            <input
+                                type="color"
+                                value={draft.custom.accentColor}
+                                onChange={(e) => updateCustom({ accentColor: e.target.value })}
+                            />
+                        </label>
+                        <div className="flex items-center justify-between">
+                            <span>Logo</span>
+                            <div className="flex items-center gap-3">
+                                {draft.custom.logo && (
+                                    <>
+                                        <img src={draft.custom.logo} alt="" className="h-10" />
+                                        <button onClick={() => updateCustom({ logo: '' })} className="text-gray-400 hover:text-white">
+                                            Remove
+                                        </button>
+                                    </>
+                                )}
+                                <input type="file" accept="image/*" onChange={loadLogoFile} className="text-sm text-gray-400" />
+                            </div>
+                        </div>
+                    </fieldset>
+                )}
+
+                <label className="flex items-center justify-between mb-4 text-xl text-white">
+                    <span>Display mode</span>
+                    <select
+                        value={draft.mode}
+                        onChange={(e) => setDraft(prev => ({ ...prev, mode: e.target.value }))}
+                        className={`w-64 ml-4 ${INPUT_CLASSES}`}
+                    >
+                        {Object.entries(THEME_MODES).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <label className="flex items-center justify-between mb-4 text-xl text-white">
+                    <span>Font</span>
+                    <select
+                        value={draft.font}
+                        onChange={(e) => setDraft(prev => ({ ...prev, font: e.target.value }))}
+                        className={`w-64 ml-4 ${INPUT_CLASSES}`}
+                    >
+                        {Object.entries(THEME_FONTS).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+
+                {/* Preview */}
+                <div
+                    className="mb-4 p-4 rounded-lg border border-gray-700"
+                    style={{ backgroundColor: preview.background, fontFamily: preview.fontFamily }}
+                >
+                    <p className="text-2xl font-bold" style={{ color: preview.text }}>Time Remaining:</p>
+                    <p className="text-4xl font-extrabold" style={{ color: preview.countdown }}>1:23:45</p>
+                    <p className="text-xl font-medium" style={{ color: preview.brandColor }}>The exam is in progress.</p>
+                    <p className="text-xl font-medium" style={{ color: preview.accentColor }}>You may NOT leave the room.</p>
+                    <p className="text-xl font-bold" style={{ color: preview.reading }}>Reading time — do not write.</p>
+                </div>
+
+                {/* Validation errors */}
+                {errors.length > 0 && (
+                    <ul className="mb-4 text-red-400">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+
+                <div className="flex justify-end space-x-4 mt-6">
+                    <button onClick={onClose} className="font-semibold text-gray-400 hover:text-white">
+                        Cancel
+                    </button>
+                    <button onClick={handleSave} className="font-semibold text-white">
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ThemePanel;
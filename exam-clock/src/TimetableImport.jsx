@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { parseTimetableFile, getRoomsForDay, getSittingsForDay } from './timetableImport.js';
+import { loadSetting, saveSetting } from './session.js';
+import { formatTimeOfDay } from './timeUtils.js';
+
+const BUTTON_CLASSES = 'px-4 py-1 rounded border border-gray-600 font-semibold text-white hover:bg-gray-800';
+
+// --- Timetable Import Component ---
+// Part of the setup screen: reads the exam office's timetable (.ics or CSV export) and lists
+// today's sittings for this room, so one can fill in the setup instead of typing it.
+// The room is remembered on this computer for the next exam.
+//   locale:        for the sittings' start times
+//   onPickSitting: called with the chosen sitting (see timetableImport.js)
+const TimetableImport = ({ locale, onPickSitting }) => {
+    const [room, setRoom] = useState(() => loadSetting('room') ?? '');
+    const [fileName, setFileName] = useState('');
+    const [result, setResult] = useState(null);
+    const [pickedSitting, setPickedSitting] = useState(null);
+
+    const now = Date.now();
+    const rooms = result ? getRoomsForDay(result.sittings, now) : [];
+    const sittings = result ? getSittingsForDay(result.sittings, { now, room }) : [];
+
+    const loadFile = (event) => {
+        const [file] = event.target.files;
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setFileName(file.name);
+            setResult(parseTimetableFile(file.name, String(reader.result)));
+            setPickedSitting(null);
+        };
+        reader.readAsText(file);
+        // Allow the same file to be picked again after it is fixed
+        event.target.value = '';
+    };
+
+    const changeRoom = (value) => {
+        setRoom(value);
+        saveSetting('room', value.trim());
+    };
+
+    const pickSitting = (sitting) => {
+        setPickedSitting(sitting);
+        onPickSitting(sitting);
+    };
+
+    return (
+        <div className="mb-6 pb-6 border-b border-gray-700 text-xl text-white">
+            <span className="flex items-center justify-between">
+                <span>Import timetable (.ics or CSV)</span>
+                <input type="file" accept=".ics,.csv,text/calendar,text/csv" onChange={loadFile} className="text-sm w-48" />
+            </span>
+
+            <label className="flex items-center justify-between mt-4">
+                <span>This room</span>
+                <input
+                    type="text"
+                    list="timetable-rooms"
+                    value={room}
+                    placeholder="All rooms"
+                    onChange={(e) => changeRoom(e.target.value)}
+                    className="w-64 ml-4 px-2 py-1 rounded bg-black border border-gray-600 text-white"
+                />
+                <datalist id="timetable-rooms">
+                    {rooms.map(name => <option key={name} value={name} />)}
+                </datalist>
+            </label>
+
+            {result && (
+                <div className="mt-4 text-lg">
+                    {/* Skipped events or rows, then assumptions to check */}
+                    {result.errors.length > 0 && (
+                        <ul className="mb-2 text-red-400">
+                            {result.errors.map(error => <li key={error}>{error}</li>)}
+                        </ul>
+                    )}
+                    {result.warnings.length > 0 && (
+                        <ul className="mb-2 text-yellow-400">
+                            {result.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                        </ul>
+                    )}
+
+                    <h2 className="font-semibold mb-2">
+                        Today in {room.trim() || 'all rooms'} ({sittings.length} of {result.sittings.length} in {fileName})
+                    </h2>
+                    {sittings.length === 0 ? (
+                        <p className="text-gray-400">No sittings today{room.trim() && ' for this room'}.</p>
+                    ) : (
+                        <table className="w-full">
+                            <tbody>
+                                {sittings.map(sitting => (
+                                    <tr key={`${sitting.startAt}-${sitting.courseCode}-${sitting.room}`} className={sitting === pickedSitting ? 'text-green-400' : ''}>
+                                        <td className="font-mono">{formatTimeOfDay(sitting.startAt, locale, { hour12: true })}</td>
+                                        <td>
+                                            {[sitting.courseCode, sitting.title].filter(Boolean).join(' ')}
+                                            {!room.trim() && sitting.room && <span className="text-gray-400"> ({sitting.room})</span>}
+                                        </td>
+                                        <td className="text-right font-mono">{sitting.durationMinutes} min</td>
+                                        <td className="text-right">
+                                            <button type="button" onClick={() => pickSitting(sitting)} className={BUTTON_CLASSES}>
+                                                Use
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    )}
+                    {pickedSitting && (
+                        <p className="mt-2 text-gray-400">
+                            Filled in below, with the Auto-Start time set to the start. Save, then turn on
+                            Auto-Start to start at that time.
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TimetableImport;
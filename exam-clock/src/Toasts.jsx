@@ -0,0 +1,17 @@
+import React from 'react';
+
+// --- Toasts Component ---
+// Short notices confirming what a shortcut or command just did ("Paused", "Sound muted", ...).
+// The App removes each one after a few seconds.
+//   toasts: [{ id, text }], oldest first
+const Toasts = ({ toasts }) => (
+    <div className="fixed bottom-32 right-8 z-50 flex flex-col items-end space-y-2 pointer-events-none" role="status">
+        {toasts.map(toast => (
+            <div key={toast.id} className="px-4 py-2 rounded bg-gray-800 border border-gray-600 text-white text-lg font-semibold">
+                {toast.text}
+            </div>
+        ))}
+    </div>
+);
+
+export default Toasts;
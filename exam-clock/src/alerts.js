@@ -0,0 +1,120 @@
+// --- MILESTONE ALERTS ---
+// Sounds (a Web Audio chime or a spoken announcement) and on-screen banners/flashes at key
+// points of the exam. Everything is generated in the browser, so no audio files are needed.
+
+// Milestones that can trigger an alert, in exam order. The announcement wording is in the
+// translation catalogue under 'alert.<id>' (see i18n.js).
+//   getElapsed: session seconds (reading + writing) at which the milestone is reached,
+//               or null if it doesn't apply to this exam
+export const ALERT_MILESTONES = {
+    'restriction-over': {
+        label: 'End of leave restriction',
+        getElapsed: ({ readingSeconds, restrictionSeconds }) =>
+            (restrictionSeconds > 0 ? readingSeconds + restrictionSeconds : null),
+    },
+    'remaining-30': {
+        label: '30 minutes remaining',
+        getElapsed: ({ readingSeconds, totalSeconds }) =>
+            (totalSeconds > 30 * 60 ? readingSeconds + totalSeconds - 30 * 60 : null),
+    },
+    'remaining-15': {
+        label: '15 minutes remaining',
+        getElapsed: ({ readingSeconds, totalSeconds }) =>
+            (totalSeconds > 15 * 60 ? readingSeconds + totalSeconds - 15 * 60 : null),
+    },
+    'remaining-5': {
+        label: '5 minutes remaining',
+        getElapsed: ({ readingSeconds, totalSeconds }) =>
+            (totalSeconds > 5 * 60 ? readingSeconds + totalSeconds - 5 * 60 : null),
+    },
+    'time-up': {
+        label: 'Time up',
+        getElapsed: ({ readingSeconds, totalSeconds }) => readingSeconds + totalSeconds,
+    },
+    'extra-time-over': {
+        label: 'End of extra time',
+        getElapsed: ({ readingSeconds, totalSeconds, extraTimeLimitSeconds, isExtraTimeEnabled }) =>
+            (isExtraTimeEnabled ? readingSeconds + totalSeconds - extraTimeLimitSeconds : null),
+    },
+};
+
+export const ALERT_SOUNDS = {
+    chime: 'Chime',
+    speech: 'Spoken announcement',
+    none: 'No sound',
+};
+
+export const ALERT_VISUALS = {
+    banner: 'Banner',
+    flash: 'Full-screen flash and banner',
+    none: 'Nothing on screen',
+};
+
+export const DEFAULT_ALERT_CONFIG = {
+    milestones: ['restriction-over', 'remaining-15', 'remaining-5', 'time-up', 'extra-time-over'],
+    sound: 'chime',
+    visual: 'banner',
+};
+
+// How long after a milestone it may still fire. A reload long after a milestone shouldn't
+// replay it, but a tab that was briefly throttled should still catch up.
+export const ALERT_GRACE_MS = 10 * 1000;
+
+// --- SOUND ---
+
+let audioContext = null;
+
+// Browsers only allow audio after a user gesture, so the App calls this on the first click/key press
+export const unlockAudio = () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    if (!audioContext) {
+        audioContext = new AudioContextClass();
+    }
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+};
+
+// Three descending bell-like tones
+export const playChime = () => {
+    unlockAudio();
+    if (!audioContext) return;
+
+    const start = audioContext.currentTime;
+    [880, 659.25, 523.25].forEach((frequency, index) => {
+        const oscillator = audioContext.createOscillator();
+        const gain = audioContext.createGain();
+        const toneStart = start + index * 0.6;
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        // Quick attack, long exponential decay
+        gain.gain.setValueAtTime(0.0001, toneStart);
+        gain.gain.exponentialRampToValueAtTime(0.5, toneStart + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, toneStart + 1.5);
+
+        oscillator.connect(gain).connect(audioContext.destination);
+        oscillator.start(toneStart);
+        oscillator.stop(toneStart + 1.6);
+    });
+};
+
+// locale: the language to speak in (the browser picks a matching voice if it has one)
+export const speak = (text, locale) => {
+    if (!('speechSynthesis' in window)) return;
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.rate = 0.9;
+    if (locale) utterance.lang = locale;
+    window.speechSynthesis.speak(utterance);
+};
+
+export const playAlertSound = (sound, text, locale) => {
+    if (sound === 'chime') {
+        playChime();
+    } else if (sound === 'speech') {
+        speak(text, locale);
+    }
+};
@@ -0,0 +1,48 @@
+// --- SCREEN READER ANNOUNCEMENTS ---
+// What the projected screen tells screen reader users through its ARIA live regions
+// (see ExamTimer.jsx): every change of phase, and the time remaining every few minutes
+// (announceEveryMinutes in examConfig.js). The countdown itself changes silently.
+import { translate } from './i18n.js';
+
+// Catalogue keys for the phases that are announced (see getAnnouncementPhase)
+const PHASE_KEYS = {
+    reading: 'announce.reading',
+    restricted: 'announce.restricted',
+    writing: 'announce.writing',
+    warning: 'announce.warning',
+    paused: 'announce.paused',
+    overrun: 'announce.overrun',
+    'time-up': 'alert.time-up',
+    'extra-time-over': 'alert.extra-time-over',
+};
+
+// The timer phase (see timerEngine.js) in the detail candidates need: which leaving rule
+// applies while the exam runs, and why it stopped
+export const getAnnouncementPhase = ({ phase, isReadingTime, isRestricted, isWarning, isExtraTimeOver }) => {
+    if (phase === 'running') {
+        return isReadingTime ? 'reading' : isRestricted ? 'restricted' : isWarning ? 'warning' : 'writing';
+    }
+    if (phase === 'finished') return isExtraTimeOver ? 'extra-time-over' : 'time-up';
+    return phase;
+};
+
+// The announcement for a phase, or null for phases that aren't announced (idle, scheduled)
+export const getPhaseAnnouncement = (phase, language, { warningMinutes }) =>
+    (phase in PHASE_KEYS ? translate(language, PHASE_KEYS[phase], { minutes: warningMinutes }) : null);
+
+// Counts down by one each time the time remaining passes a multiple of everyMinutes
+// (e.g. at exactly 45:00 with updates every 15 minutes). null while nothing is counting down,
+// or with time updates off (0).
+export const getAnnouncementPeriod = ({ phase, isReadingTime, readingRemainingSeconds, timeRemainingSeconds }, everyMinutes) => {
+    if (phase !== 'running' || everyMinutes === 0) return null;
+    return Math.ceil((isReadingTime ? readingRemainingSeconds : timeRemainingSeconds) / (everyMinutes * 60));
+};
+
+// 'N minutes remaining.' (of reading time, during reading time)
+export const getTimeAnnouncement = ({ isReadingTime, readingRemainingSeconds, timeRemainingSeconds }, language) => {
+    const minutes = Math.round((isReadingTime ? readingRemainingSeconds : timeRemainingSeconds) / 60);
+    const key = isReadingTime
+        ? (minutes === 1 ? 'announce.oneReadingMinuteRemaining' : 'announce.readingMinutesRemaining')
+        : (minutes === 1 ? 'announce.oneMinuteRemaining' : 'announce.minutesRemaining');
+    return translate(language, key, { minutes });
+};
@@ -0,0 +1,55 @@
+// --- CANDIDATES WITH SPECIAL CONDITIONS ---
+// Candidates with their own extra time allowance and rest break credit, added on top of the
+// main writing time. Candidates with the same allowance are shown together as one group.
+//
+// A candidate: { id, label, extraMinutes, restMinutes }
+//   label: name or seat number, as the invigilator wants it shown on screen
+
+export const CANDIDATE_LIMITS = {
+    extraMinutes: { label: 'Extra time', min: 0, max: 180 },
+    restMinutes: { label: 'Rest breaks', min: 0, max: 180 },
+};
+
+export const createCandidate = ({ label, extraMinutes, restMinutes }) => ({
+    id: `candidate-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    label,
+    extraMinutes,
+    restMinutes,
+});
+
+// Returns a list of human readable problems with a candidate (empty if valid)
+export const validateCandidate = (candidate) => {
+    const errors = [];
+    if (typeof candidate.label !== 'string' || candidate.label.trim() === '' || candidate.label.length > 40) {
+        errors.push('Name or seat must be 1 to 40 characters.');
+    }
+    Object.entries(CANDIDATE_LIMITS).forEach(([key, { label, min, max }]) => {
+        const value = candidate[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`${label} must be a whole number of minutes between ${min} and ${max}.`);
+        }
+    });
+    if (candidate.extraMinutes + candidate.restMinutes === 0) {
+        errors.push('Give the candidate some extra time or rest break credit.');
+    }
+    return errors;
+};
+
+// When a candidate with this allowance finishes: main writing time's end plus the allowance,
+// moved on by any pause since writing time ended (see getTimerView in timerEngine.js)
+export const getCandidateFinishAt = (allowanceMinutes, { writingEndAt, pausedAfterWritingMs }) =>
+    writingEndAt + pausedAfterWritingMs + allowanceMinutes * 60 * 1000;
+
+// Groups candidates by allowance, shortest first:
+// [{ key, extraMinutes, restMinutes, allowanceMinutes, labels }]
+export const groupCandidates = (candidates) => {
+    const groups = new Map();
+    candidates.forEach(({ label, extraMinutes, restMinutes }) => {
+        const key = `${extraMinutes}+${restMinutes}`;
+        if (!groups.has(key)) {
+            groups.set(key, { key, extraMinutes, restMinutes, allowanceMinutes: extraMinutes + restMinutes, labels: [] });
+        }
+        groups.get(key).labels.push(label);
+    });
+    return [...groups.values()].sort((a, b) => a.allowanceMinutes - b.allowanceMinutes || a.restMinutes - b.restMinutes);
+};
@@ -0,0 +1,226 @@
+// --- COMMANDS ---
+// Everything the keyboard shortcuts and the command palette can do. Nothing runs straight from a
+// key press: the App asks for confirmation first and shows a toast once it has run, so a key hit
+// by accident can't silently pause or reset an exam.
+//
+// A command: { id, examId, label, shortcut, isDisabled, isDestructive, input, run }
+//   examId: the exam it acts on (screen-wide commands have none)
+//   label:  what it does, e.g. 'Pause COMPSCI 101' (the confirmation asks "Pause COMPSCI 101?")
+//   input:  for palette commands that need a value first: { label, placeholder, parse, describe }
+//           parse(text) returns { value } or { error }; describe(value) is the confirmation's label
+//   run(value): does it and returns the toast text
+import { EVENT_LABELS } from './eventLog.js';
+import { formatTimeAdjustment, formatTimeHHMMSS, parseTimeText } from './timeUtils.js';
+
+// Keys shown in the palette and the confirmation
+export const SHORTCUT_LABELS = {
+    toggle: 'Space',
+    reset: 'Shift+R',
+    'extra-time': 'E',
+    'auto-start': 'A',
+    fullscreen: 'F',
+    mute: 'M',
+    palette: 'Ctrl+K',
+};
+
+// The command a key press asks for ('select-N' picks the exam the keys control), or null.
+// Reset needs Shift so a stray R does nothing.
+export const getShortcut = (event) => {
+    if (event.ctrlKey || event.metaKey) {
+        return event.key.toLowerCase() === 'k' ? 'palette' : null;
+    }
+    if (event.altKey) return null;
+
+    if (event.key === ' ') return 'toggle';
+    if (/^[1-9]$/.test(event.key)) return `select-${event.key}`;
+    switch (event.key.toLowerCase()) {
+        case 'r': return event.shiftKey ? 'reset' : null;
+        case 'e': return 'extra-time';
+        case 'a': return 'auto-start';
+        case 'f': return 'fullscreen';
+        case 'm': return 'mute';
+        default: return null;
+    }
+};
+
+// Typing in a text box (or a panel's select) never triggers shortcuts
+export const isTypingTarget = (target) =>
+    target instanceof HTMLElement
+    && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// A button focused from the keyboard (showing its focus ring) keeps Space for itself; after a
+// click, Space stays the Start/Pause shortcut
+export const isKeyboardFocusedButton = (target) =>
+    target instanceof HTMLButtonElement && target.matches(':focus-visible');
+
+const MAX_ADJUST_MINUTES = 120;
+
+const parseMinutes = (text) => {
+    const minutes = Number(text.trim());
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ADJUST_MINUTES) {
+        return { error: `Enter a whole number of minutes from 1 to ${MAX_ADJUST_MINUTES}.` };
+    }
+    return { value: minutes };
+};
+
+const parseTimeRemaining = (text) => {
+    const value = parseTimeText(text);
+    if (value === null) {
+        return { error: 'Enter the time left as H:MM (e.g. 1:30) or a number of minutes.' };
+    }
+    if (value < 60) {
+        return { error: 'Leave at least a minute.' };
+    }
+    return { value };
+};
+
+const parseNote = (text) => (text.trim() === '' ? { error: 'Enter a note.' } : { value: text.trim() });
+
+// Commands for one exam (see ExamTimer's examCommands). With several exams on screen, each label
+// says which exam it is for.
+const getExamCommands = (examId, exam, isMultiExam) => {
+    const name = isMultiExam ? ` ${exam.label}` : '';
+    const prefix = isMultiExam ? `${exam.label}: ` : '';
+    const toggleLabel = exam.status === 'idle' ? 'Start' : exam.status === 'running' ? 'Pause' : 'Resume';
+    const toggleEvent = exam.status === 'idle' ? 'start' : exam.status === 'running' ? 'pause' : 'resume';
+
+    return [
+        {
+            examId,
+            id: `${examId}:toggle`,
+            shortcut: 'toggle',
+            label: `${toggleLabel}${name || ' the exam'}`,
+            isDisabled: exam.status !== 'running' && exam.isStartDisabled,
+            run: () => {
+                exam.onToggle();
+                return `${prefix}${EVENT_LABELS[toggleEvent]}`;
+            },
+        },
+        {
+            examId,
+            id: `${examId}:reset`,
+            shortcut: 'reset',
+            label: `Reset${name || ' the exam'}`,
+            isDestructive: true,
+            isDisabled: exam.status === 'idle',
+            run: () => {
+                exam.onReset();
+                return `${prefix}${EVENT_LABELS.reset}`;
+            },
+        },
+        {
+            examId,
+            id: `${examId}:extra-time`,
+            shortcut: 'extra-time',
+            label: `Turn extra time ${exam.isExtraTimeEnabled ? 'off' : 'on'}${isMultiExam ? ` for ${exam.label}` : ''}`,
+            isDisabled: exam.isExtraTimeDisabled,
+            run: () => {
+                exam.onToggleExtraTime();
+                return `${prefix}${EVENT_LABELS[exam.isExtraTimeEnabled ? 'extra-time-off' : 'extra-time-on']}`;
+            },
+        },
+        {
+            examId,
+            id: `${examId}:auto-start`,
+            shortcut: 'auto-start',
+            label: `${exam.isAutoStartEnabled ? 'Disarm' : 'Arm'} Auto-Start${isMultiExam ? ` for ${exam.label}` : ''}`,
+            isDisabled: exam.isAutoStartDisabled,
+            run: () => {
+                exam.onToggleAutoStart();
+                return `${prefix}${EVENT_LABELS[exam.isAutoStartEnabled ? 'auto-start-off' : 'auto-start-on']}`;
+            },
+        },
+        {
+            examId,
+            id: `${examId}:add-minutes`,
+            label: `Add minutes${isMultiExam ? ` to ${exam.label}` : ''}…`,
+            isDisabled: exam.isAdjustTimeDisabled,
+            input: {
+                label: 'Minutes to add',
+                placeholder: '5',
+                parse: parseMinutes,
+                describe: (minutes) => `Add ${minutes} minute${minutes === 1 ? '' : 's'}${isMultiExam ? ` to ${exam.label}` : ''}`,
+            },
+            run: (minutes) => `${prefix}${EVENT_LABELS['time-adjusted']} ${formatTimeAdjustment(exam.onAdjustTime(minutes * 60))}`,
+        },
+        {
+            examId,
+            id: `${examId}:remove-minutes`,
+            label: `Take off minutes${isMultiExam ? ` from ${exam.label}` : ''}…`,
+            isDisabled: exam.isAdjustTimeDisabled,
+            input: {
+                label: 'Minutes to take off',
+                placeholder: '5',
+                parse: parseMinutes,
+                describe: (minutes) => `Take ${minutes} minute${minutes === 1 ? '' : 's'} off${name || ' the exam'}`,
+            },
+            // Never takes off more than is left, so the toast shows what was actually taken off
+            run: (minutes) => `${prefix}${EVENT_LABELS['time-adjusted']} ${formatTimeAdjustment(exam.onAdjustTime(-minutes * 60))}`,
+        },
+        {
+            examId,
+            id: `${examId}:set-remaining`,
+            label: `Jump to time remaining${isMultiExam ? ` for ${exam.label}` : ''}…`,
+            isDisabled: exam.isAdjustTimeDisabled,
+            input: {
+                label: 'Time remaining',
+                placeholder: '1:30',
+                parse: parseTimeRemaining,
+                describe: (seconds) => `Set the time remaining${name} to ${formatTimeHHMMSS(seconds)}`,
+            },
+            run: (seconds) => {
+                exam.onSetTimeRemaining(seconds);
+                return `${prefix}Time remaining set to ${formatTimeHHMMSS(seconds)}`;
+            },
+        },
+        {
+            examId,
+            id: `${examId}:note`,
+            label: `Add a note to the event log${isMultiExam ? ` for ${exam.label}` : ''}…`,
+            input: {
+                label: 'Note',
+                placeholder: 'Fire alarm, candidates evacuated',
+                parse: parseNote,
+                describe: (note) => `Add the note "${note}"${isMultiExam ? ` to ${exam.label}` : ''}`,
+            },
+            run: (note) => {
+                exam.onAddNote(note);
+                return `${prefix}Note added`;
+            },
+        },
+    ];
+};
+
+// Every command, for the exams on screen and the screen itself.
+//   exams:       [[examId, examCommands]] in screen order
+//   screen:      { isMuted, onToggleMute, isFullscreen, onToggleFullscreen, isKiosk, onToggleKiosk }
+//                onToggleKiosk is omitted where kiosk mode doesn't apply (the controller)
+export const buildCommands = (exams, screen) => [
+    ...exams.flatMap(([examId, exam]) => getExamCommands(examId, exam, exams.length > 1)),
+    {
+        id: 'mute',
+        shortcut: 'mute',
+        label: screen.isMuted ? 'Turn sound on' : 'Mute alert sounds',
+        run: () => {
+            screen.onToggleMute();
+            return screen.isMuted ? 'Sound on' : 'Sound muted';
+        },
+    },
+    {
+        id: 'fullscreen',
+        shortcut: 'fullscreen',
+        label: screen.isFullscreen ? 'Leave fullscreen' : 'Go fullscreen',
+        run: () => {
+            screen.onToggleFullscreen();
+            return screen.isFullscreen ? 'Fullscreen off' : 'Fullscreen on';
+        },
+    },
+    ...(screen.onToggleKiosk ? [{
+        id: 'kiosk',
+        label: screen.isKiosk ? 'Leave kiosk mode' : 'Kiosk mode (fullscreen, screen kept awake, cursor hidden)',
+        run: () => {
+            screen.onToggleKiosk();
+            return screen.isKiosk ? 'Kiosk mode off' : 'Kiosk mode on';
+        },
+    }] : []),
+];
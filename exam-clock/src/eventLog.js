@@ -0,0 +1,146 @@
+// --- EVENT LOG ---
+// Timestamped record of what happened to an exam (start, pause, reset, incident notes, ...).
+// Each ExamTimer keeps its events with the rest of its saved state, so the log
+// survives a reload and is shared with the controller window.
+import { formatTimeAdjustment, formatTimeHHMMSS, formatTimeOfDay } from './timeUtils.js';
+import { formatLeaveTime } from './leaves.js';
+
+// Text shown in the log for each event type
+export const EVENT_LABELS = {
+    start: 'Exam started',
+    pause: 'Paused',
+    resume: 'Resumed',
+    reset: 'Reset',
+    'extra-time-on': 'Extra time turned on',
+    'extra-time-off': 'Extra time turned off',
+    'auto-start-on': 'Auto-Start armed',
+    'auto-start-off': 'Auto-Start disarmed',
+    'auto-start': 'Auto-Started',
+    'time-adjusted': 'Time adjusted',
+    'signed-out': 'Signed out of the room',
+    'signed-in': 'Signed back in',
+    'out-at-final-warning': 'Final warning started with candidates out of the room',
+    'reading-over': 'Reading time over, writing time started',
+    'writing-over': 'Writing time over',
+    'extra-time-started': 'Extra time started',
+    'extra-time-over': 'Extra time over',
+    note: 'Note',
+};
+
+// Events that begin a new session; phase transitions are only logged once per session
+const SESSION_START_TYPES = ['start', 'auto-start', 'reset'];
+
+// note: free text for incident notes
+export const createEvent = (type, at = Date.now(), note) => (note ? { type, at, note } : { type, at });
+
+export const describeEvent = (event) => EVENT_LABELS[event.type] ?? event.type;
+
+// Whether `type` has already been logged since the current session started
+export const hasEventThisSession = (events, type) => {
+    for (let i = events.length - 1; i >= 0; i--) {
+        if (events[i].type === type) return true;
+        if (SESSION_START_TYPES.includes(events[i].type)) return false;
+    }
+    return false;
+};
+
+// --- EXPORT ---
+
+const formatDateTime = (at) => {
+    const date = new Date(at);
+    const time = formatTimeOfDay(date, 'en-US', { seconds: true });
+    return `${date.toLocaleDateString('en-CA')} ${time}`; // en-CA gives YYYY-MM-DD
+};
+
+// Quote a CSV field if it contains a comma, quote or line break
+const toCsvField = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const eventsToCsv = (events) => {
+    const rows = [['Time', 'Event', 'Note']];
+    events.forEach(event => rows.push([formatDateTime(event.at), describeEvent(event), event.note ?? '']));
+    return rows.map(row => row.map(toCsvField).join(',')).join('\r\n');
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Self-contained HTML page for the exam office, meant to be printed
+//   leaves: temporary leave records (see leaves.js), listed after the events
+export const buildReportHtml = ({ label, config, adjustedSeconds = 0, events, leaves = [], totalPausedMs }) => {
+    const rows = events.map(event => `
+        <tr>
+            <td>${escapeHtml(formatDateTime(event.at))}</td>
+            <td>${escapeHtml(describeEvent(event))}</td>
+            <td>${escapeHtml(event.note ?? '')}</td>
+        </tr>`).join('');
+
+    const now = Date.now();
+    const leaveRows = leaves.map(leave => `
+        <tr>
+            <td>${escapeHtml(leave.seat)}</td>
+            <td>${escapeHtml(formatDateTime(leave.outAt))}</td>
+            <td>${leave.backAt === null ? 'Still out' : escapeHtml(formatDateTime(leave.backAt))}</td>
+            <td>${formatLeaveTime(leave, now)}</td>
+        </tr>`).join('');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Exam Report - ${escapeHtml(label)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; margin: 2rem; color: #000; }
+    table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+    th, td { border: 1px solid #999; padding: 0.3rem 0.6rem; text-align: left; }
+    dt { font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>Exam Report: ${escapeHtml(label)}</h1>
+${config.title ? `<h2>${escapeHtml(config.title)}</h2>` : ''}
+<dl>
+    <dt>Writing time</dt><dd>${config.durationMinutes} minutes${adjustedSeconds ? ` (adjusted ${formatTimeAdjustment(adjustedSeconds)})` : ''}</dd>
+    <dt>Reading time</dt><dd>${config.readingMinutes} minutes</dd>
+    <dt>Total time paused</dt><dd>${formatTimeHHMMSS(Math.round(totalPausedMs / 1000))}</dd>
+    <dt>Report printed</dt><dd>${escapeHtml(formatDateTime(Date.now()))}</dd>
+</dl>
+<table>
+    <thead><tr><th>Time</th><th>Event</th><th>Note</th></tr></thead>
+    <tbody>${rows}</tbody>
+</table>
+${leaves.length > 0 ? `<h2>Temporary leave</h2>
+<table>
+    <thead><tr><th>Seat</th><th>Signed out</th><th>Back</th><th>Time out</th></tr></thead>
+    <tbody>${leaveRows}</tbody>
+</table>` : ''}
+</body>
+</html>`;
+};
+
+// Save text as a file through a temporary download link
+export const downloadFile = (fileName, content, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Open the report in a new window and bring up the print dialog
+export const printReport = (html) => {
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) return false; // Blocked by a popup blocker
+
+    reportWindow.document.write(html);
+    reportWindow.document.close();
+    reportWindow.focus();
+    reportWindow.print();
+    return true;
+};
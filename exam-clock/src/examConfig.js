@@ -0,0 +1,122 @@
+import { isValidTimeOfDay } from './schedule.js';
+import { ALERT_MILESTONES, ALERT_SOUNDS, ALERT_VISUALS, DEFAULT_ALERT_CONFIG } from './alerts.js';
+import { DEFAULT_MESSAGES, validateMessages } from './messages.js';
+
+// --- EXAM CONFIGURATION ---
+// Everything the invigilator can change on the setup screen lives here, in minutes.
+// The App converts these into seconds with getExamTimings() before using them.
+
+// Defaults match a standard 3 hour paper
+export const DEFAULT_EXAM_CONFIG = {
+    courseCode: '',         // Shown above the countdown, e.g. 'COMPSCI 101'
+    title: '',              // Paper title shown under the course code
+    durationMinutes: 180,   // Writing time
+    readingMinutes: 0,      // Optional reading time before writing starts
+    restrictionMinutes: 45, // No leaving in the first N minutes
+    warningMinutes: 15,     // No leaving in the final N minutes
+    extraTimeMinutes: 30,   // Hard stop for the extra time counter
+    leaveLimitMinutes: 10,  // Warn when a candidate has been signed out of the room longer than this
+    announceEveryMinutes: 15, // Screen readers hear the time remaining this often (0 = phase changes only)
+    autoStartPhase: 'reading', // Which phase Auto-Start lines up with the scheduled time
+    autoStartTime: '',      // Exact 'HH:MM' start for Auto-Start ('' = next half hour)
+    timetable: [],          // The day's sessions: [{ time: 'HH:MM', durationMinutes }]
+    alerts: DEFAULT_ALERT_CONFIG, // Milestone sounds and banners (see alerts.js)
+    messages: DEFAULT_MESSAGES,   // Status panel messages and when they show (see messages.js)
+};
+
+// Phases Auto-Start can schedule for the next half hour
+export const AUTO_START_PHASES = {
+    reading: 'Start of reading time',
+    writing: 'Start of writing time',
+};
+
+// Label and maximum length for each free text setting
+export const TEXT_FIELDS = {
+    courseCode: { label: 'Course code', maxLength: 20 },
+    title: { label: 'Title', maxLength: 100 },
+};
+
+// Label and allowed range for each setting (inclusive, in minutes)
+export const CONFIG_FIELDS = {
+    durationMinutes: { label: 'Exam duration', min: 1, max: 600 },
+    readingMinutes: { label: 'Reading time', min: 0, max: 60 },
+    restrictionMinutes: { label: 'Leave restriction (start)', min: 0, max: 600 },
+    warningMinutes: { label: 'Final warning (end)', min: 0, max: 600 },
+    extraTimeMinutes: { label: 'Extra time cap', min: 0, max: 180 },
+    leaveLimitMinutes: { label: 'Out of room limit', min: 1, max: 60 },
+    announceEveryMinutes: { label: 'Screen reader time updates', min: 0, max: 60 },
+};
+
+// Returns a list of human readable problems with the config (empty if valid)
+export const validateExamConfig = (config) => {
+    const errors = [];
+
+    Object.entries(TEXT_FIELDS).forEach(([key, { label, maxLength }]) => {
+        const value = config[key];
+        if (typeof value !== 'string' || value.length > maxLength) {
+            errors.push(`${label} must be at most ${maxLength} characters.`);
+        }
+    });
+
+    Object.entries(CONFIG_FIELDS).forEach(([key, { label, min, max }]) => {
+        const value = config[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`${label} must be a whole number of minutes between ${min} and ${max}.`);
+        }
+    });
+
+    if (config.autoStartTime !== '' && !isValidTimeOfDay(config.autoStartTime)) {
+        errors.push('Auto-Start time must be a time of day (HH:MM).');
+    }
+    if (!Array.isArray(config.timetable) || config.timetable.some(entry =>
+        !isValidTimeOfDay(entry.time) || !Number.isInteger(entry.durationMinutes)
+        || entry.durationMinutes < CONFIG_FIELDS.durationMinutes.min
+        || entry.durationMinutes > CONFIG_FIELDS.durationMinutes.max
+    )) {
+        errors.push(`Every timetable session needs an HH:MM start and a duration between ${CONFIG_FIELDS.durationMinutes.min} and ${CONFIG_FIELDS.durationMinutes.max} minutes.`);
+    }
+
+    const { alerts } = config;
+    if (!alerts || !Array.isArray(alerts.milestones)
+        || alerts.milestones.some(id => !(id in ALERT_MILESTONES))
+        || !(alerts.sound in ALERT_SOUNDS) || !(alerts.visual in ALERT_VISUALS)) {
+        errors.push('Alerts must use known milestones, sounds and visuals.');
+    }
+
+    errors.push(...validateMessages(config.messages));
+
+    if (!(config.autoStartPhase in AUTO_START_PHASES)) {
+        errors.push('Auto-Start must target reading time or writing time.');
+    }
+
+    // The leave windows must fit inside the writing time
+    if (config.restrictionMinutes > config.durationMinutes) {
+        errors.push('Leave restriction cannot be longer than the exam.');
+    }
+    if (config.warningMinutes > config.durationMinutes) {
+        errors.push('Final warning cannot be longer than the exam.');
+    }
+    // Each timetable session runs with its own duration, so they must fit inside that too
+    if (Array.isArray(config.timetable)) {
+        config.timetable.forEach(({ time, durationMinutes }) => {
+            if (config.restrictionMinutes > durationMinutes) {
+                errors.push(`Leave restriction cannot be longer than the ${time} timetable session.`);
+            }
+            if (config.warningMinutes > durationMinutes) {
+                errors.push(`Final warning cannot be longer than the ${time} timetable session.`);
+            }
+        });
+    }
+
+    return errors;
+};
+
+// Converts the minute based config into the second based values the timer uses
+export const getExamTimings = (config) => ({
+    totalSeconds: config.durationMinutes * 60,
+    readingSeconds: config.readingMinutes * 60,
+    warningThresholdSeconds: config.warningMinutes * 60,
+    restrictionSeconds: config.restrictionMinutes * 60,
+    // Extra time counts below zero, so the limit is negative
+    extraTimeLimitSeconds: -config.extraTimeMinutes * 60,
+});
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_EXAM_CONFIG, validateExamConfig } from './examConfig.js';
+
+describe('validateExamConfig', () => {
+    it('fits the leave windows inside every timetable session', () => {
+        const config = {
+            ...DEFAULT_EXAM_CONFIG,
+            restrictionMinutes: 30,
+            warningMinutes: 15,
+            timetable: [{ time: '09:00', durationMinutes: 10 }, { time: '11:00', durationMinutes: 20 }, { time: '13:00', durationMinutes: 60 }],
+        };
+        expect(validateExamConfig(config)).toEqual([
+            'Leave restriction cannot be longer than the 09:00 timetable session.',
+            'Final warning cannot be longer than the 09:00 timetable session.',
+            'Leave restriction cannot be longer than the 11:00 timetable session.',
+        ]);
+    });
+});
@@ -0,0 +1,137 @@
+// --- LANGUAGES ---
+// Translation catalogue for everything candidates read on the projected screen. The operator's
+// screens (setup, controller, event log) stay in English, except for start times the room will
+// also see: the controller's Auto-Start time and the timetable import's sitting times use the
+// primary display language, so they read the same as the Auto-Start notice on the projected screen.
+//
+// The display language is a screen-wide setting: { primary, secondary }
+//   secondary: a second language shown under every status message, label and banner ('' for none)
+// Status message wording lives on each message (see messages.js), not in this catalogue.
+
+export const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US' },
+    mi: { label: 'Te reo Māori', locale: 'mi-NZ' },
+    zh: { label: '中文 (Chinese)', locale: 'zh-CN' },
+};
+
+export const DEFAULT_LANGUAGE_SETTING = { primary: 'en', secondary: '' };
+
+// Keys missing from a language fall back to English. {placeholders} are filled by translate().
+const CATALOGUE = {
+    en: {
+        timeRemaining: 'Time Remaining:',
+        readingTimeRemaining: 'Reading Time Remaining:',
+        markerReading: 'Reading',
+        markerStart: 'Start',
+        markerFinish: 'Finish',
+        autoStartingAt: 'Auto-Starting at {time}',
+        autoStartingReadingAt: 'Auto-Starting Reading Time at {time}',
+        autoStartOn: 'ON ({time})',
+        extraTime: '(Extra Time: {time})',
+        timeAdjusted: 'Time adjusted {amount}',
+        specialConditions: 'Special Conditions',
+        candidateAllowance: '+{extra} min',
+        candidateRest: '{rest} min rest',
+        candidateFinishAt: 'finish {time}',
+        candidateFinished: 'Finished',
+        'alert.restriction-over': 'You may now leave the room if you have finished.',
+        'alert.remaining-30': 'Thirty minutes remaining.',
+        'alert.remaining-15': 'Fifteen minutes remaining.',
+        'alert.remaining-5': 'Five minutes remaining.',
+        'alert.time-up': 'Writing time is over. Please stop writing.',
+        'alert.extra-time-over': 'Extra time is over. Please stop writing.',
+        'announce.reading': 'Reading time has started.',
+        'announce.restricted': 'Writing time has started. You may not leave the room yet.',
+        'announce.writing': 'Writing time. You may leave the room if you have finished.',
+        'announce.warning': 'Final {minutes} minutes. You may not leave the room.',
+        'announce.paused': 'The exam has been paused.',
+        'announce.overrun': 'Writing time is over. Extra time has started.',
+        'announce.minutesRemaining': '{minutes} minutes remaining.',
+        'announce.oneMinuteRemaining': 'One minute remaining.',
+        'announce.readingMinutesRemaining': '{minutes} minutes of reading time remaining.',
+        'announce.oneReadingMinuteRemaining': 'One minute of reading time remaining.',
+    },
+    mi: {
+        timeRemaining: 'Te Wā e Toe Ana:',
+        readingTimeRemaining: 'Te Wā Pānui e Toe Ana:',
+        markerReading: 'Pānui',
+        markerStart: 'Tīmata',
+        markerFinish: 'Mutunga',
+        autoStartingAt: 'Ka tīmata aunoa ā te {time}',
+        autoStartingReadingAt: 'Ka tīmata aunoa te wā pānui ā te {time}',
+        autoStartOn: 'KĀ ({time})',
+        extraTime: '(Wā Tāpiri: {time})',
+        timeAdjusted: 'Kua whakatikahia te wā {amount}',
+        specialConditions: 'Ngā Āhuatanga Motuhake',
+        candidateAllowance: '+{extra} meneti',
+        candidateRest: '{rest} meneti okioki',
+        candidateFinishAt: 'ka mutu ā te {time}',
+        candidateFinished: 'Kua mutu',
+        'alert.restriction-over': 'Ka taea e koe te puta i te rūma ināianei mēnā kua oti koe.',
+        'alert.remaining-30': 'E toru tekau meneti e toe ana.',
+        'alert.remaining-15': 'Tekau mā rima meneti e toe ana.',
+        'alert.remaining-5': 'E rima meneti e toe ana.',
+        'alert.time-up': 'Kua pau te wā tuhituhi. Kāti te tuhituhi.',
+        'alert.extra-time-over': 'Kua pau te wā tāpiri. Kāti te tuhituhi.',
+        'announce.reading': 'Kua tīmata te wā pānui.',
+        'announce.restricted': 'Kua tīmata te wā tuhituhi. Kāore e taea te puta i te rūma ināianei.',
+        'announce.writing': 'Ko te wā tuhituhi tēnei. Ka taea e koe te puta i te rūma mēnā kua oti koe.',
+        'announce.warning': 'Ko ngā meneti {minutes} whakamutunga. Kāore e taea te puta i te rūma.',
+        'announce.paused': 'Kua whakatārewatia te whakamātautau.',
+        'announce.overrun': 'Kua pau te wā tuhituhi. Kua tīmata te wā tāpiri.',
+        'announce.minutesRemaining': '{minutes} meneti e toe ana.',
+        'announce.oneMinuteRemaining': 'Kotahi meneti e toe ana.',
+        'announce.readingMinutesRemaining': '{minutes} meneti pānui e toe ana.',
+        'announce.oneReadingMinuteRemaining': 'Kotahi meneti pānui e toe ana.',
+    },
+    zh: {
+        timeRemaining: '剩余时间：',
+        readingTimeRemaining: '剩余阅读时间：',
+        markerReading: '阅读',
+        markerStart: '开始',
+        markerFinish: '结束',
+        autoStartingAt: '将于 {time} 自动开始',
+        autoStartingReadingAt: '阅读时间将于 {time} 自动开始',
+        autoStartOn: '开启（{time}）',
+        extraTime: '（额外时间：{time}）',
+        timeAdjusted: '时间已调整 {amount}',
+        specialConditions: '特殊安排',
+        candidateAllowance: '+{extra} 分钟',
+        candidateRest: '休息 {rest} 分钟',
+        candidateFinishAt: '{time} 结束',
+        candidateFinished: '已结束',
+        'alert.restriction-over': '如已完成作答，现在可以离开考场。',
+        'alert.remaining-30': '还剩三十分钟。',
+        'alert.remaining-15': '还剩十五分钟。',
+        'alert.remaining-5': '还剩五分钟。',
+        'alert.time-up': '写作时间结束。请停止书写。',
+        'alert.extra-time-over': '额外时间结束。请停止书写。',
+        'announce.reading': '阅读时间开始。',
+        'announce.restricted': '写作时间开始。现在不可离开考场。',
+        'announce.writing': '写作时间。如已完成作答，可以离开考场。',
+        'announce.warning': '最后 {minutes} 分钟。不可离开考场。',
+        'announce.paused': '考试已暂停。',
+        'announce.overrun': '写作时间结束。额外时间开始。',
+        'announce.minutesRemaining': '还剩 {minutes} 分钟。',
+        'announce.oneMinuteRemaining': '还剩一分钟。',
+        'announce.readingMinutesRemaining': '阅读时间还剩 {minutes} 分钟。',
+        'announce.oneReadingMinuteRemaining': '阅读时间还剩一分钟。',
+    },
+};
+
+export const translate = (language, key, params = {}) => {
+    const text = CATALOGUE[language]?.[key] ?? CATALOGUE.en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+};
+
+export const getLocale = (language) => LANGUAGES[language]?.locale ?? LANGUAGES.en.locale;
+
+// The languages to show, primary first (falls back to English for unknown settings)
+export const getDisplayLanguages = (setting) => {
+    const { primary, secondary } = { ...DEFAULT_LANGUAGE_SETTING, ...setting };
+    const languages = [primary in LANGUAGES ? primary : 'en'];
+    if (secondary in LANGUAGES && !languages.includes(secondary)) {
+        languages.push(secondary);
+    }
+    return languages;
+};
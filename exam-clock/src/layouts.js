@@ -0,0 +1,28 @@
+// --- DISPLAY LAYOUTS ---
+// How the projected screen draws each exam. Every layout shows the same timing state; they only
+// differ in how the time is drawn, so the layout can be changed at any point in an exam.
+// The layout is shared by every window, so the controller can change the projected display's.
+
+export const LAYOUTS = {
+    timeline: {
+        label: 'Vertical timeline',
+        description: 'The countdown beside a timeline with a marker every 15 minutes. Suits most projectors.',
+    },
+    horizontal: {
+        label: 'Horizontal timeline',
+        description: 'The timeline runs across the screen under the countdown. Suits ultra-wide screens.',
+    },
+    analog: {
+        label: 'Analog clock face',
+        description: 'A large clock face with the time left drawn as a shrinking sector.',
+    },
+    countdown: {
+        label: 'Countdown only',
+        description: 'Just the countdown, as large as the screen allows. Suits small TVs at the back of a hall.',
+    },
+};
+
+export const DEFAULT_LAYOUT = 'timeline';
+
+// A saved layout, or the default if it isn't known (e.g. saved by a newer version)
+export const resolveLayout = (layout) => (layout in LAYOUTS ? layout : DEFAULT_LAYOUT);
@@ -0,0 +1,67 @@
+// --- TEMPORARY LEAVE ---
+// Candidates signed out of the room during the exam (bathroom visits, feeling unwell, ...) and
+// back in again, by seat number, so the invigilators know who is out and for how long.
+// Each ExamTimer keeps its leaves with the rest of its saved state.
+//
+// A leave: { id, seat, outAt, backAt }
+//   outAt / backAt: ms timestamps of signing out and back in (backAt is null while out)
+import { formatTimeMMSS } from './timeUtils.js';
+
+export const SEAT_MAX_LENGTH = 10;
+
+// Seats are compared without case or surrounding spaces ('b12 ' is B12)
+export const normalizeSeat = (seat) => seat.trim().toUpperCase();
+
+export const createLeave = (seat, outAt) => ({
+    id: `leave-${outAt.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    seat,
+    outAt,
+    backAt: null,
+});
+
+export const getOutOfRoom = (leaves) => leaves.filter(leave => leave.backAt === null);
+
+// Returns a list of human readable problems with signing this seat out (empty if valid)
+export const validateSeat = (seat, leaves) => {
+    if (seat === '' || seat.length > SEAT_MAX_LENGTH) {
+        return [`Seat must be 1 to ${SEAT_MAX_LENGTH} characters.`];
+    }
+    if (getOutOfRoom(leaves).some(leave => leave.seat === seat)) {
+        return [`Seat ${seat} is already signed out.`];
+    }
+    return [];
+};
+
+export const signBackIn = (leaves, id, backAt) =>
+    leaves.map(leave => (leave.id === id ? { ...leave, backAt } : leave));
+
+// Whole seconds out of the room (so far, while still out)
+export const getLeaveSeconds = (leave, now) => Math.max(0, Math.floor(((leave.backAt ?? now) - leave.outAt) / 1000));
+
+// 'MM:SS' time out, for the panel, log notes and report
+export const formatLeaveTime = (leave, now) => formatTimeMMSS(getLeaveSeconds(leave, now));
+
+// Whether a leave has run past the limit (still out, or was when it ended)
+export const isLeaveOverdue = (leave, now, limitMinutes) => getLeaveSeconds(leave, now) > limitMinutes * 60;
+
+// Seats out of the room at a moment (e.g. when the final warning window began)
+export const getSeatsOutAt = (leaves, at) => leaves
+    .filter(leave => leave.outAt <= at && (leave.backAt === null || leave.backAt > at))
+    .map(leave => leave.seat);
+
+// Warnings for the invigilators about candidates still out of the room:
+// over the time limit, and still out once the final no-leaving window has started.
+//   isWarning:      the final window has started (see timerEngine.js)
+//   warningMinutes: length of the final window, for the message
+export const getLeaveWarnings = (leaves, { now, limitMinutes, isWarning, warningMinutes }) => {
+    const out = getOutOfRoom(leaves);
+    const warnings = out
+        .filter(leave => isLeaveOverdue(leave, now, limitMinutes))
+        .map(leave => `Seat ${leave.seat} has been out for ${formatLeaveTime(leave, now)} (limit ${limitMinutes} min).`);
+
+    if (isWarning && out.length > 0) {
+        const seats = out.map(leave => leave.seat).join(', ');
+        warnings.push(`Final ${warningMinutes} minutes: still out of the room: ${seats}.`);
+    }
+    return warnings;
+};
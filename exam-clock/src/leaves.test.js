@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_EXAM_CONFIG } from './examConfig.js';
+import { createTimerEngine, createTimerState } from './timerEngine.js';
+import { createLeave, signBackIn, getLeaveSeconds, formatLeaveTime, getLeaveWarnings } from './leaves.js';
+import { MINUTE, at } from './testUtils.js';
+
+describe('temporary leave', () => {
+    it('times a leave until the candidate signs back in', () => {
+        const leave = createLeave('B12', at(9, 30));
+        expect(getLeaveSeconds(leave, at(9, 34, 20))).toBe(260);
+
+        const [back] = signBackIn([leave], leave.id, at(9, 36, 5));
+        expect(formatLeaveTime(back, at(10, 0))).toBe('06:05');
+    });
+
+    it('warns once a candidate still out passes the limit', () => {
+        const over = createLeave('B12', at(9, 30));
+        const back = { ...createLeave('C3', at(9, 20)), backAt: at(9, 45) };
+        const options = { limitMinutes: 10, isWarning: false, warningMinutes: 5 };
+
+        expect(getLeaveWarnings([over, back], { ...options, now: at(9, 40) })).toEqual([]);
+        expect(getLeaveWarnings([over, back], { ...options, now: at(9, 40, 1) }))
+            .toEqual(['Seat B12 has been out for 10:01 (limit 10 min).']);
+    });
+
+    it('keeps counting while the exam is paused', () => {
+        let time = at(9, 0);
+        const engine = createTimerEngine(() => time);
+        const config = { ...DEFAULT_EXAM_CONFIG, durationMinutes: 60, warningMinutes: 5 };
+        let { state } = engine.send(createTimerState({ config }), { type: 'start' });
+
+        time = at(9, 50);
+        const leave = createLeave('B12', time);
+        ({ state } = engine.send(state, { type: 'pause' }));
+        time += 15 * MINUTE;
+
+        // The exam clock stood still, but the candidate has been gone for 15 minutes
+        expect(engine.getView(state).timeRemainingSeconds).toBe(10 * 60);
+        expect(getLeaveSeconds(leave, time)).toBe(15 * 60);
+
+        // Resumed inside the final window, with the candidate still out
+        ({ state } = engine.send(state, { type: 'start' }));
+        time += 6 * MINUTE;
+        const { isWarning } = engine.getView(state);
+        expect(getLeaveWarnings([leave], { now: time, limitMinutes: 20, isWarning, warningMinutes: 5 })).toEqual([
+            'Seat B12 has been out for 21:00 (limit 20 min).',
+            'Final 5 minutes: still out of the room: B12.',
+        ]);
+    });
+});
@@ -1,6 +1,15 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
+// Fonts are bundled so the clock works without an internet connection (see theme.js)
+import '@fontsource/lexend/200.css'
+import '@fontsource/lexend/400.css'
+import '@fontsource/lexend/500.css'
+import '@fontsource/lexend/600.css'
+import '@fontsource/lexend/700.css'
+import '@fontsource/lexend/800.css'
+import '@fontsource/atkinson-hyperlegible/400.css'
+import '@fontsource/atkinson-hyperlegible/700.css'
 import App from './Clock.jsx'
 
 createRoot(document.getElementById('root')).render(
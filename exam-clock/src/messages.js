@@ -0,0 +1,220 @@
+// --- STATUS MESSAGES ---
+// The messages in the status panel, each shown during its own window of the exam.
+// Every active message is shown, highest priority first. The defaults reproduce the original
+// wording and are never active at the same time.
+//
+// A message: { id, text, detail, anchor, from, to, priority, color, bold, translations }
+//   text / detail: main line and optional smaller second line, in English. {restrictionMinutes},
+//                  {warningMinutes}, {durationMinutes} and {readingMinutes} are filled in from the config.
+//   translations:  { [language]: { text, detail } } for the other display languages (see i18n.js);
+//                  anything left blank falls back to the English
+//   anchor:        what the window is measured against (see MESSAGE_ANCHORS)
+//   from / to:     window in minutes on that anchor's clock, only for 'elapsed' and 'remaining'.
+//                  Either a number or 'restriction' / 'warning' to follow those config settings.
+//   color:         a hex colour, or a theme colour (see THEME_COLOR_TOKENS) so it suits every theme
+import { isValidThemeColor } from './theme.js';
+import { LANGUAGES } from './i18n.js';
+
+export const MESSAGE_ANCHORS = {
+    elapsed: 'Minutes of writing time elapsed',
+    remaining: 'Minutes of writing time remaining',
+    reading: 'During reading time',
+    over: 'Writing time over',
+    'extra-over': 'Extra time over',
+    fallback: 'When no other message is showing',
+};
+
+// Anchors that use the from / to window
+export const WINDOWED_ANCHORS = ['elapsed', 'remaining'];
+
+// Window bounds that follow a config setting instead of a fixed number of minutes
+export const LINKED_BOUNDS = {
+    restriction: 'restrictionMinutes',
+    warning: 'warningMinutes',
+};
+
+export const DEFAULT_MESSAGES = [
+    {
+        id: 'extra-over',
+        text: 'Writing Time Over. Please STOP writing and remain seated.',
+        detail: '',
+        anchor: 'extra-over',
+        from: 0,
+        to: 0,
+        priority: 100,
+        color: 'alert',
+        bold: true,
+        translations: {
+            mi: { text: 'Kua pau te wā tuhituhi. Kāti te tuhituhi, ā, me noho tonu ki tō tūru.', detail: '' },
+            zh: { text: '写作时间结束。请停止书写，并留在座位上。', detail: '' },
+        },
+    },
+    {
+        id: 'over',
+        text: 'Writing Time Over. Please STOP writing and remain seated.',
+        detail: '',
+        anchor: 'over',
+        from: 0,
+        to: 0,
+        priority: 90,
+        color: 'text',
+        bold: true,
+        translations: {
+            mi: { text: 'Kua pau te wā tuhituhi. Kāti te tuhituhi, ā, me noho tonu ki tō tūru.', detail: '' },
+            zh: { text: '写作时间结束。请停止书写，并留在座位上。', detail: '' },
+        },
+    },
+    {
+        id: 'reading',
+        text: 'Reading time — do not write.',
+        detail: '',
+        anchor: 'reading',
+        from: 0,
+        to: 0,
+        priority: 80,
+        color: 'reading',
+        bold: true,
+        translations: {
+            mi: { text: 'Wā pānui — kaua e tuhituhi.', detail: '' },
+            zh: { text: '阅读时间 — 请勿书写。', detail: '' },
+        },
+    },
+    {
+        id: 'warning',
+        text: 'You may NOT leave the room in the final {warningMinutes} minutes of the exam. Please remain seated and raise your hand if you need a supervisor.',
+        detail: '',
+        anchor: 'remaining',
+        from: 'warning',
+        to: 0,
+        priority: 70,
+        color: 'accent',
+        bold: false,
+        translations: {
+            mi: { text: 'KĀORE koe e whakaaetia kia puta i te rūma i ngā meneti {warningMinutes} whakamutunga o te whakamātautau. Me noho tonu, ā, hāpaingia tō ringa mēnā e hiahia ana koe ki tētahi kaitiaki.', detail: '' },
+            zh: { text: '考试最后 {warningMinutes} 分钟内不得离开考场。请留在座位上，如需监考老师协助请举手。', detail: '' },
+        },
+    },
+    {
+        id: 'restriction',
+        text: 'You may not leave the room in the first {restrictionMinutes} minutes of the exam.',
+        detail: 'Please stay in your seat. If you need a supervisor, raise your hand.',
+        anchor: 'elapsed',
+        from: 0,
+        to: 'restriction',
+        priority: 60,
+        color: 'text',
+        bold: true,
+        translations: {
+            mi: { text: 'Kāore koe e whakaaetia kia puta i te rūma i ngā meneti {restrictionMinutes} tuatahi o te whakamātautau.', detail: 'Me noho tonu ki tō tūru. Mēnā e hiahia ana koe ki tētahi kaitiaki, hāpaingia tō ringa.' },
+            zh: { text: '考试开始后的前 {restrictionMinutes} 分钟内不得离开考场。', detail: '请留在座位上。如需监考老师协助，请举手。' },
+        },
+    },
+    {
+        id: 'in-progress',
+        text: 'The exam is in progress. Check the timer frequently.',
+        detail: '',
+        anchor: 'fallback',
+        from: 0,
+        to: 0,
+        priority: 0,
+        color: 'brand',
+        bold: false,
+        translations: {
+            mi: { text: 'Kei te haere te whakamātautau. Tirohia auau te matawā.', detail: '' },
+            zh: { text: '考试正在进行中。请经常查看计时器。', detail: '' },
+        },
+    },
+];
+
+export const createMessageId = () => `message-${Date.now().toString(36)}`;
+
+// Minutes for a window bound (a number, or a linked config setting)
+const resolveBound = (bound, config) => (bound in LINKED_BOUNDS ? config[LINKED_BOUNDS[bound]] : bound);
+
+const isValidBound = (bound) => (Number.isInteger(bound) && bound >= 0) || bound in LINKED_BOUNDS;
+
+// A message's wording in one display language: { text, detail }
+export const getMessageText = (message, language) => {
+    const translation = message.translations?.[language];
+    return {
+        text: translation?.text || message.text,
+        detail: translation?.text ? translation.detail : message.detail,
+    };
+};
+
+// Fill {placeholders} in message text from the config
+export const fillPlaceholders = (text, config) =>
+    text.replace(/\{(\w+)\}/g, (match, key) => (typeof config[key] === 'number' ? String(config[key]) : match));
+
+// Messages active right now, highest priority first.
+//   state: { isReadingTime, timeElapsedSeconds, timeRemainingSeconds, isFinished, isExtraTimeOver }
+export const getActiveMessages = (messages, config, state) => {
+    const isActive = (message) => {
+        switch (message.anchor) {
+            case 'elapsed': {
+                const elapsed = state.timeElapsedSeconds;
+                return !state.isReadingTime
+                    && elapsed > resolveBound(message.from, config) * 60
+                    && elapsed <= resolveBound(message.to, config) * 60;
+            }
+            case 'remaining': {
+                const remaining = state.timeRemainingSeconds;
+                return !state.isReadingTime
+                    && remaining <= resolveBound(message.from, config) * 60
+                    && remaining > resolveBound(message.to, config) * 60;
+            }
+            case 'reading':
+                return state.isReadingTime;
+            case 'over':
+                // Stopped at zero (in extra time the countdown goes negative instead)
+                return state.isFinished && state.timeRemainingSeconds >= 0 && !state.isExtraTimeOver;
+            case 'extra-over':
+                return state.isExtraTimeOver;
+            default:
+                return false;
+        }
+    };
+
+    const byPriority = (a, b) => b.priority - a.priority;
+    const active = messages.filter(isActive).sort(byPriority);
+    if (active.length > 0) return active;
+
+    return messages.filter(message => message.anchor === 'fallback').sort(byPriority);
+};
+
+// Returns a list of human readable problems with the messages (empty if valid)
+export const validateMessages = (messages) => {
+    if (!Array.isArray(messages)) return ['Messages must be a list.'];
+
+    const errors = [];
+    messages.forEach((message, index) => {
+        const name = `Message ${index + 1}`;
+        if (typeof message.text !== 'string' || message.text.trim() === '' || message.text.length > 300) {
+            errors.push(`${name}: text must be 1 to 300 characters.`);
+        }
+        if (typeof message.detail !== 'string' || message.detail.length > 300) {
+            errors.push(`${name}: second line must be at most 300 characters.`);
+        }
+        Object.entries(message.translations ?? {}).forEach(([language, translation]) => {
+            const isValid = language in LANGUAGES
+                && typeof translation.text === 'string' && translation.text.length <= 300
+                && typeof translation.detail === 'string' && translation.detail.length <= 300;
+            if (!isValid) {
+                errors.push(`${name}: ${LANGUAGES[language]?.label ?? language} wording must be at most 300 characters per line.`);
+            }
+        });
+        if (!(message.anchor in MESSAGE_ANCHORS)) {
+            errors.push(`${name}: unknown window "${message.anchor}".`);
+        }
+        if (WINDOWED_ANCHORS.includes(message.anchor) && (!isValidBound(message.from) || !isValidBound(message.to))) {
+            errors.push(`${name}: from and to must be minutes, "restriction" or "warning".`);
+        }
+        if (!Number.isInteger(message.priority)) {
+            errors.push(`${name}: priority must be a whole number.`);
+        }
+        if (!isValidThemeColor(message.color)) {
+            errors.push(`${name}: colour must be a theme colour or a hex colour like #ffffff.`);
+        }
+    });
+    return errors;
+};
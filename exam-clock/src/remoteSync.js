@@ -0,0 +1,243 @@
+// --- MULTI-ROOM SYNC ---
+// Optional link to the sync server (server/sync-server.js) so clocks in several rooms start and
+// finish together. The master clock sends its exam list and each exam's timing state; follower
+// clocks mirror it. Event logs, candidates and leave
+// records stay with each room.
+//
+// Timestamps travel in the server's clock. Each clock estimates its offset from the server with
+// pings (keeping the fastest round trips, which are the most accurate) and converts on the way
+// out and in, so rooms whose computer clocks disagree still finish at the same moment.
+//
+// The link settings are a screen-wide setting: { isEnabled, url, room, role }
+// Status reported to the App: { state: 'connecting' | 'connected' | 'disconnected', error, offsetMs, rttMs }
+import { broadcast, deliver, onBroadcast } from './sync.js';
+import { loadExamIds, saveExamIds, loadSavedState, saveState } from './session.js';
+
+export const REMOTE_ROLES = {
+    master: 'Master (this room controls the others)',
+    follower: 'Follower (mirrors the master)',
+};
+
+export const DEFAULT_REMOTE_SYNC = { isEnabled: false, url: 'ws://localhost:8787', room: '', role: 'follower' };
+
+export const ROOM_CODE_PATTERN = /^[A-Z0-9]{4,12}$/;
+
+const PING_INTERVAL_MS = 5 * 1000;
+// No pong for this long and the link is treated as dropped (a pulled cable doesn't close the socket)
+const LINK_TIMEOUT_MS = 3 * PING_INTERVAL_MS;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10 * 1000;
+const OFFSET_SAMPLES = 8;
+// Offset changes smaller than this aren't worth re-applying the master's state for
+const OFFSET_TOLERANCE_MS = 50;
+
+// The parts of an exam's saved state that the master decides
+const SHARED_KEYS = ['config', 'session', 'isExtraTimeEnabled', 'isAutoStartEnabled'];
+
+// Six letters/digits, without ones that are easy to misread (0/O, 1/I)
+export const createRoomCode = () => {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    return Array.from({ length: 6 }, () => alphabet[Math.floor(Math.random() * alphabet.length)]).join('');
+};
+
+// Returns a list of human readable problems with the link settings (empty if valid)
+export const validateRemoteSync = ({ url, room, role }) => {
+    const errors = [];
+    if (!/^wss?:\/\/[^\s/]+/.test(url)) {
+        errors.push('Server address must start with ws:// or wss://, e.g. ws://192.168.1.20:8787.');
+    }
+    if (!ROOM_CODE_PATTERN.test(room)) {
+        errors.push('Room code must be 4 to 12 capital letters or digits.');
+    }
+    if (!(role in REMOTE_ROLES)) {
+        errors.push('Choose master or follower.');
+    }
+    return errors;
+};
+
+// Moves a session's timestamps by deltaMs (local time <-> server time)
+const shiftSession = (session, deltaMs) => ({
+    ...session,
+    startedAt: session.startedAt === null ? null : session.startedAt + deltaMs,
+    pausedAt: session.pausedAt === null ? null : session.pausedAt + deltaMs,
+    lastAdjustment: session.lastAdjustment && { ...session.lastAdjustment, at: session.lastAdjustment.at + deltaMs },
+});
+
+const pickShared = (state) => Object.fromEntries(SHARED_KEYS.map(key => [key, state[key]]));
+
+// Opens the link and keeps it open (reconnecting as needed) until the returned function is called
+export const connectRemoteSync = ({ url, room, role, onStatus }) => {
+    let socket = null;
+    let isClosed = false;
+    let reconnectMs = RECONNECT_MIN_MS;
+    let reconnectTimer = null;
+    let pingTimer = null;
+    let lastPongAt = 0;
+    let status = { state: 'connecting', error: '', offsetMs: null, rttMs: null };
+
+    // Server time minus local time, from the fastest recent round trips
+    let samples = [];
+    let offsetMs = 0;
+    // Follower: the master's last state per exam (in server time), re-applied if the offset moves
+    const masterStates = new Map();
+
+    const setStatus = (changes) => {
+        status = { ...status, ...changes };
+        onStatus(status);
+        // The projected display has no link of its own, but shows the badge
+        broadcast({ type: 'remote-status', status });
+    };
+
+    const send = (message) => {
+        if (socket?.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    };
+
+    // --- Master: send this screen's exams ---
+
+    const sendExamState = (examId, state) => {
+        const shared = pickShared(state);
+        send({ type: 'exam-state', examId, state: { ...shared, session: shiftSession(shared.session, offsetMs) } });
+    };
+
+    const sendSnapshot = () => {
+        const examIds = loadExamIds() ?? [];
+        send({ type: 'exam-list', examIds });
+        examIds.forEach(examId => {
+            const state = loadSavedState(examId);
+            if (state?.session) sendExamState(examId, state);
+        });
+    };
+
+    const stopWatching = role === 'master'
+        ? onBroadcast((message) => {
+            if (message.type === 'exam-list') {
+                send(message);
+            } else if (message.type === 'exam-state') {
+                sendExamState(message.examId, message.state);
+            }
+        })
+        : () => {};
+
+    // --- Follower: mirror the master ---
+
+    const applyMasterState = (examId, serverState) => {
+        const state = { ...serverState, session: shiftSession(serverState.session, -offsetMs) };
+        // Saved first, so an exam that is only just being added picks it up when it mounts
+        saveState(examId, { ...loadSavedState(examId), ...state });
+        deliver({ type: 'remote-exam-state', examId, state });
+    };
+
+    const handleMasterMessage = (message) => {
+        if (message.type === 'exam-list') {
+            // Saved here as no other window will, and the projected display picks it up from storage
+            saveExamIds(message.examIds);
+            deliver(message);
+        } else {
+            masterStates.set(message.examId, message.state);
+            applyMasterState(message.examId, message.state);
+        }
+    };
+
+    // --- Clock offset ---
+
+    const handlePong = ({ sentAt, serverTime }) => {
+        const receivedAt = Date.now();
+        const rttMs = receivedAt - sentAt;
+        samples = [...samples, { rttMs, offsetMs: serverTime - (sentAt + rttMs / 2) }].slice(-OFFSET_SAMPLES);
+        const best = samples.reduce((a, b) => (b.rttMs < a.rttMs ? b : a));
+
+        const isFirstSample = status.offsetMs === null;
+        const hasMoved = Math.abs(best.offsetMs - offsetMs) > OFFSET_TOLERANCE_MS;
+        offsetMs = best.offsetMs;
+        lastPongAt = receivedAt;
+        setStatus({ offsetMs: Math.round(offsetMs), rttMs: best.rttMs });
+
+        if (role === 'master' && (isFirstSample || hasMoved)) {
+            sendSnapshot();
+        } else if (role === 'follower' && hasMoved) {
+            masterStates.forEach((state, examId) => applyMasterState(examId, state));
+        }
+    };
+
+    // --- Connection ---
+
+    const scheduleReconnect = () => {
+        clearInterval(pingTimer);
+        if (isClosed) return;
+        reconnectTimer = setTimeout(open, reconnectMs);
+        reconnectMs = Math.min(reconnectMs * 2, RECONNECT_MAX_MS);
+    };
+
+    const ping = () => {
+        if (lastPongAt && Date.now() - lastPongAt > LINK_TIMEOUT_MS) {
+            // Dropped without a close: give up on this socket and start again
+            const deadSocket = socket;
+            socket = null;
+            deadSocket.close();
+            setStatus({ state: 'disconnected' });
+            scheduleReconnect();
+            return;
+        }
+        send({ type: 'ping', sentAt: Date.now() });
+    };
+
+    const open = () => {
+        const ownSocket = new WebSocket(url);
+        socket = ownSocket;
+
+        ownSocket.addEventListener('open', () => {
+            send({ type: 'join', room, role });
+        });
+
+        ownSocket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch {
+                return;
+            }
+            // Valid JSON isn't always a message (e.g. the text 'null')
+            if (!message || typeof message !== 'object') return;
+
+            if (message.type === 'joined') {
+                reconnectMs = RECONNECT_MIN_MS;
+                lastPongAt = Date.now();
+                setStatus({ state: 'connected', error: '' });
+                // Every (re)join: the relay may have restarted or dropped the room, and changes made
+                // while the link was down were never sent. The saved state has them all.
+                if (role === 'master') sendSnapshot();
+                ping();
+                pingTimer = setInterval(ping, PING_INTERVAL_MS);
+            } else if (message.type === 'pong') {
+                handlePong(message);
+            } else if (message.type === 'error') {
+                setStatus({ error: message.message });
+            } else if (role === 'follower' && (message.type === 'exam-list' || message.type === 'exam-state')) {
+                handleMasterMessage(message);
+            }
+        });
+
+        ownSocket.addEventListener('close', () => {
+            // Ignore sockets already given up on
+            if (socket !== ownSocket) return;
+            socket = null;
+            setStatus({ state: 'disconnected' });
+            scheduleReconnect();
+        });
+    };
+
+    setStatus({});
+    open();
+
+    return () => {
+        isClosed = true;
+        stopWatching();
+        clearTimeout(reconnectTimer);
+        clearInterval(pingTimer);
+        const closingSocket = socket;
+        socket = null;
+        closingSocket?.close();
+    };
+};
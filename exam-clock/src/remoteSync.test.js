@@ -0,0 +1,118 @@
+import { EventEmitter } from 'node:events';
+import { Buffer } from 'node:buffer';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebSocket as ServerWebSocket } from 'ws';
+import { createRelay } from '../server/sync-server.js';
+import { DEFAULT_EXAM_CONFIG } from './examConfig.js';
+import { createIdleSession, startSession, pauseSession, saveState, saveExamIds } from './session.js';
+import { broadcast, subscribe } from './sync.js';
+import { connectRemoteSync } from './remoteSync.js';
+
+const EXAM_ID = 'exam-a';
+
+// The relay the stand-in sockets connect to (replaced to restart it)
+let relay;
+let sockets;
+
+// Stands in for the browser's WebSocket, wired straight to the relay's side of the connection
+class FakeWebSocket extends EventEmitter {
+    static OPEN = 1;
+    static CLOSED = 3;
+
+    constructor() {
+        super();
+        this.readyState = 0;
+        this.server = new EventEmitter();
+        this.server.readyState = ServerWebSocket.OPEN;
+        this.server.send = (text) => this.emit('message', { data: text });
+        this.server.close = () => this.drop();
+        this.server.terminate = this.server.close;
+        sockets.push(this);
+
+        setTimeout(() => {
+            this.readyState = FakeWebSocket.OPEN;
+            relay.handleConnection(this.server);
+            this.emit('open');
+        }, 0);
+    }
+
+    addEventListener(type, listener) {
+        this.on(type, listener);
+    }
+
+    send(text) {
+        this.server.emit('message', Buffer.from(text));
+    }
+
+    close() {
+        this.drop();
+    }
+
+    drop() {
+        if (this.readyState === FakeWebSocket.CLOSED) return;
+        this.readyState = FakeWebSocket.CLOSED;
+        this.server.readyState = ServerWebSocket.CLOSED;
+        this.server.emit('close');
+        this.emit('close');
+    }
+}
+
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+// The master's exam, as ExamTimer saves and broadcasts it
+const setMasterExam = (session) => {
+    const state = { config: DEFAULT_EXAM_CONFIG, session, isExtraTimeEnabled: false, isAutoStartEnabled: false };
+    saveState(EXAM_ID, state);
+    broadcast({ type: 'exam-state', examId: EXAM_ID, state });
+};
+
+beforeEach(() => {
+    vi.useFakeTimers();
+    vi.stubGlobal('window', { localStorage: createStorage(), addEventListener: () => {}, removeEventListener: () => {} });
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+    vi.stubGlobal('BroadcastChannel', undefined);
+    relay = createRelay();
+    sockets = [];
+});
+
+afterEach(() => {
+    sockets.forEach(socket => socket.drop());
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+});
+
+describe('reconnecting', () => {
+    it('brings followers up to date with changes the master made while the relay was down', () => {
+        saveExamIds([EXAM_ID]);
+        setMasterExam(startSession(createIdleSession(), Date.now()));
+
+        const options = { url: 'ws://relay', room: 'ROOM1', onStatus: () => {} };
+        const closeMaster = connectRemoteSync({ ...options, role: 'master' });
+        const closeFollower = connectRemoteSync({ ...options, role: 'follower' });
+        const received = [];
+        const unsubscribe = subscribe(message => received.push(message));
+        vi.advanceTimersByTime(0);
+        expect(received.at(-1)).toMatchObject({ type: 'remote-exam-state', state: { session: { status: 'running' } } });
+
+        // The relay restarts, keeping nothing, and the room is paused before the link is back
+        sockets.forEach(socket => socket.drop());
+        relay = createRelay();
+        vi.advanceTimersByTime(10);
+        setMasterExam(pauseSession(startSession(createIdleSession(), Date.now() - 10), Date.now()));
+        received.length = 0;
+
+        vi.advanceTimersByTime(1000);
+        expect(received.at(-1)).toMatchObject({ type: 'remote-exam-state', state: { session: { status: 'paused' } } });
+
+        unsubscribe();
+        closeMaster();
+        closeFollower();
+    });
+});
@@ -0,0 +1,83 @@
+// --- AUTO-START SCHEDULE ---
+// Works out when Auto-Start should next start a session. In order of preference:
+//   1. the day's timetable (several sessions, armed one after another)
+//   2. an exact start time picked on the setup screen
+//   3. the next half hour (the original behaviour)
+import { calculateNextHalfHourTime } from './timeUtils.js';
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const isValidTimeOfDay = (value) => TIME_OF_DAY_PATTERN.test(value);
+
+// 'HH:MM' -> Date for that time on the same day as `base`
+export const timeOfDayToDate = (value, base = new Date()) => {
+    const [, h, m] = value.match(TIME_OF_DAY_PATTERN);
+    const date = new Date(base.getTime());
+    date.setHours(Number(h), Number(m), 0, 0);
+    return date;
+};
+
+// Timetable text: one session per line as "HH:MM minutes" (comma or space separated).
+// Returns { entries, errors } with entries sorted by start time.
+export const parseTimetableText = (text) => {
+    const entries = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (trimmed === '') return;
+
+        const [time, minutes, ...rest] = trimmed.split(/[\s,]+/);
+        const durationMinutes = Number(minutes);
+        if (rest.length > 0 || !isValidTimeOfDay(time) || !Number.isInteger(durationMinutes) || durationMinutes < 1) {
+            errors.push(`Timetable line ${index + 1}: expected "HH:MM minutes", got "${trimmed}".`);
+            return;
+        }
+        entries.push({ time, durationMinutes });
+    });
+
+    entries.sort((a, b) => a.time.localeCompare(b.time));
+    return { entries, errors };
+};
+
+export const formatTimetableText = (entries) =>
+    entries.map(({ time, durationMinutes }) => `${time} ${durationMinutes}`).join('\n');
+
+// Next session for Auto-Start to arm, or null if there is nothing left today.
+//   leadSeconds:   reading time, when the scheduled time is meant for the start of writing time
+//   lastStartedAt: ms start of the current session, so the one just run isn't armed again
+// Returns { startTime, durationMinutes, hasMore }. startTime may already be in the past,
+// in which case the session starts with that much time already counted down.
+export const getNextScheduledStart = (config, { now, leadSeconds, lastStartedAt }) => {
+    const readingSeconds = config.readingMinutes * 60;
+
+    // A session is still worth arming until its writing time would be over
+    const toCandidate = (time, durationMinutes) => {
+        const startTime = new Date(timeOfDayToDate(time, new Date(now)).getTime() - leadSeconds * 1000);
+        const endMs = startTime.getTime() + (readingSeconds + durationMinutes * 60) * 1000;
+        return { startTime, durationMinutes, endMs };
+    };
+
+    if (config.timetable.length > 0) {
+        const upcoming = config.timetable
+            .map(entry => toCandidate(entry.time, entry.durationMinutes))
+            .filter(c => c.endMs > now && (lastStartedAt === null || c.startTime.getTime() > lastStartedAt));
+
+        if (upcoming.length === 0) return null;
+        const [next] = upcoming;
+        return { startTime: next.startTime, durationMinutes: next.durationMinutes, hasMore: upcoming.length > 1 };
+    }
+
+    if (config.autoStartTime) {
+        const candidate = toCandidate(config.autoStartTime, config.durationMinutes);
+        if (candidate.endMs <= now) return null;
+        return { startTime: candidate.startTime, durationMinutes: candidate.durationMinutes, hasMore: false };
+    }
+
+    const halfHour = calculateNextHalfHourTime(leadSeconds, now);
+    return {
+        startTime: new Date(halfHour.getTime() - leadSeconds * 1000),
+        durationMinutes: config.durationMinutes,
+        hasMore: false,
+    };
+};
@@ -0,0 +1,58 @@
+// --- OFFLINE SUPPORT ---
+// Registers the service worker (see sw.js) in production builds and reports when a new version
+// has downloaded. Nothing reloads until the App applies the update, which it only offers while
+// no countdown is running.
+
+// How often a clock left open all day checks for a new version
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// Calls onUpdateReady(applyUpdate) once a new version is waiting. Returns a cleanup function.
+export const registerServiceWorker = (onUpdateReady) => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+
+    // The first install taking control of the page isn't an update, so it doesn't reload
+    let hasController = Boolean(navigator.serviceWorker.controller);
+    let isReloading = false;
+    const handleControllerChange = () => {
+        if (!hasController) {
+            hasController = true;
+            return;
+        }
+        if (isReloading) return;
+        isReloading = true;
+        window.location.reload();
+    };
+    navigator.serviceWorker.addEventListener('controllerchange', handleControllerChange);
+
+    let intervalId = null;
+    let isCleanedUp = false;
+    const offerUpdate = (worker) => onUpdateReady(() => worker.postMessage({ type: 'SKIP_WAITING' }));
+
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+        .then(registration => {
+            if (isCleanedUp) return;
+
+            // Downloaded on an earlier visit and still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                });
+            });
+            intervalId = setInterval(() => registration.update(), UPDATE_CHECK_MS);
+        })
+        .catch(() => {
+            // No offline support (e.g. private mode); the clock works as a normal page
+        });
+
+    return () => {
+        isCleanedUp = true;
+        navigator.serviceWorker.removeEventListener('controllerchange', handleControllerChange);
+        clearInterval(intervalId);
+    };
+};
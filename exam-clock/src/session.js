@@ -0,0 +1,119 @@
+// --- EXAM SESSION ---
+// The countdown is derived from wall-clock timestamps instead of counting interval
+// callbacks, so throttled background tabs, a sleeping laptop or a reload can't make it drift.
+//
+// A session is a plain object:
+//   status:    'idle' | 'running' | 'paused'
+//   startedAt: ms timestamp of the first start (null while idle)
+//   pausedAt:  ms timestamp of the current pause (null unless paused)
+//   pausedMs:  total ms spent paused before the current pause
+//   adjustedSeconds: writing time added during the session (negative if taken off), e.g. after a disruption
+//   lastAdjustment:  { seconds, at } of the latest adjustment, for the notice to candidates (null if none)
+//   pausedAfterWritingMs:  total ms of pauses after main writing time ended, which hold the
+//                          special conditions countdowns too (see timerEngine.js)
+//   isPausedAfterWriting:  the current pause is one of those (the hard stop isn't)
+
+export const STORAGE_KEY = 'examclock.session';
+export const EXAM_LIST_KEY = 'examclock.exams';
+export const SETTINGS_KEY = 'examclock.settings';
+
+export const createIdleSession = () => ({
+    status: 'idle',
+    startedAt: null,
+    pausedAt: null,
+    pausedMs: 0,
+    adjustedSeconds: 0,
+    lastAdjustment: null,
+    pausedAfterWritingMs: 0,
+    isPausedAfterWriting: false,
+});
+
+// Whole seconds of exam time that have passed at `now`
+export const getElapsedSeconds = (session, now) => {
+    if (session.startedAt === null) return 0;
+
+    // While paused the clock is frozen at the moment of the pause
+    const effectiveNow = session.status === 'paused' ? session.pausedAt : now;
+    return Math.max(0, Math.floor((effectiveNow - session.startedAt - session.pausedMs) / 1000));
+};
+
+// Start from idle, or resume from a pause (adding the pause to the running total)
+export const startSession = (session, now) => {
+    if (session.status === 'idle') {
+        return { ...session, status: 'running', startedAt: now };
+    }
+    if (session.status === 'paused') {
+        return {
+            ...session,
+            status: 'running',
+            pausedAt: null,
+            pausedMs: session.pausedMs + (now - session.pausedAt),
+        };
+    }
+    return session;
+};
+
+export const pauseSession = (session, now) => {
+    if (session.status !== 'running') return session;
+    return { ...session, status: 'paused', pausedAt: now };
+};
+
+// Pause exactly when `elapsedSeconds` of exam time had passed (used for hard stops),
+// so the frozen time doesn't depend on how late the check ran.
+export const pauseSessionAtElapsed = (session, elapsedSeconds) => ({
+    ...session,
+    status: 'paused',
+    pausedAt: session.startedAt + session.pausedMs + elapsedSeconds * 1000,
+});
+
+// --- PERSISTENCE ---
+// Each exam saves its state under its own key on every change, so a reload carries on
+// where it was. The list of exam ids on screen and screen-wide settings are saved separately.
+
+const readJSON = (key) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : null;
+    } catch {
+        // Private mode or corrupt data: start fresh
+        return null;
+    }
+};
+
+const writeJSON = (key, value) => {
+    try {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    } catch {
+        // Storage full or unavailable: the clock still works, it just won't survive a reload
+    }
+};
+
+export const loadSavedState = (examId) => readJSON(`${STORAGE_KEY}.${examId}`);
+
+export const saveState = (examId, state) => writeJSON(`${STORAGE_KEY}.${examId}`, state);
+
+export const clearSavedState = (examId) => {
+    try {
+        window.localStorage.removeItem(`${STORAGE_KEY}.${examId}`);
+    } catch {
+        // Nothing to clear
+    }
+};
+
+// A room rarely hosts more papers than this, and more columns won't fit on a projector
+export const MAX_EXAMS = 4;
+
+export const loadExamIds = () => {
+    const ids = readJSON(EXAM_LIST_KEY);
+    return Array.isArray(ids) && ids.length > 0 ? ids : null;
+};
+
+export const saveExamIds = (ids) => writeJSON(EXAM_LIST_KEY, ids);
+
+// Random suffix so several exams created at once (e.g. importing a setup) get distinct ids
+export const createExamId = () => `exam-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Screen-wide settings (e.g. mute), one key each; null if never saved
+export const loadSetting = (name) => readJSON(`${SETTINGS_KEY}.${name}`);
+
+export const saveSetting = (name, value) => writeJSON(`${SETTINGS_KEY}.${name}`, value);
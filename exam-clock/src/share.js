@@ -0,0 +1,140 @@
+// --- SHARED SETUP ---
+// The whole room setup (every exam's config and toggles, the theme and the display language)
+// as one JSON document, so the exam office can send a single link or file to every venue.
+// Candidates and event logs are left out: they belong to the room, not the exam.
+//
+// A setup: { app: 'exam-clock', version, exams, theme, language }
+//   exams: [{ config, isExtraTimeEnabled, isAutoStartEnabled }], in screen order
+//
+// Links carry the setup in the URL hash (#setup=...), base64url encoded. The hash never reaches
+// the web server, so long setups (e.g. with a logo) aren't cut short by URL limits on the way.
+import { DEFAULT_EXAM_CONFIG, validateExamConfig } from './examConfig.js';
+import { DEFAULT_THEME, validateTheme } from './theme.js';
+import { DEFAULT_LANGUAGE_SETTING, LANGUAGES } from './i18n.js';
+import { MAX_EXAMS } from './session.js';
+
+export const SETUP_VERSION = 1;
+
+const SETUP_HASH_PREFIX = '#setup=';
+
+// Links longer than this may be cut off by email and chat apps; the file is safer
+export const MAX_SHARE_LINK_LENGTH = 8000;
+
+export const buildSetup = ({ exams, theme, language }) => ({
+    app: 'exam-clock',
+    version: SETUP_VERSION,
+    exams: exams.map(({ config, isExtraTimeEnabled, isAutoStartEnabled }) => ({
+        config,
+        isExtraTimeEnabled,
+        isAutoStartEnabled,
+    })),
+    theme,
+    language,
+});
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Only keys the App knows about are kept, with defaults for anything missing
+const pickKnown = (value, defaults) =>
+    Object.fromEntries(Object.keys(defaults).map(key => [key, key in value ? value[key] : defaults[key]]));
+
+// Checks a parsed setup document and fills in defaults.
+// Returns { setup, errors }; setup is null unless there are no errors.
+export const parseSetup = (data) => {
+    if (!isPlainObject(data) || data.app !== 'exam-clock') {
+        return { setup: null, errors: ['This is not an Exam Clock setup.'] };
+    }
+    if (data.version !== SETUP_VERSION) {
+        return { setup: null, errors: [`Setup version ${data.version} is not supported (expected ${SETUP_VERSION}).`] };
+    }
+    if (!Array.isArray(data.exams) || data.exams.length === 0 || data.exams.length > MAX_EXAMS) {
+        return { setup: null, errors: [`A setup must have between 1 and ${MAX_EXAMS} exams.`] };
+    }
+
+    const errors = [];
+
+    const exams = data.exams.map((exam, index) => {
+        const name = `Exam ${index + 1}`;
+        if (!isPlainObject(exam) || !isPlainObject(exam.config)) {
+            errors.push(`${name}: missing exam settings.`);
+            return null;
+        }
+
+        const config = pickKnown(exam.config, DEFAULT_EXAM_CONFIG);
+        errors.push(...validateExamConfig(config).map(error => `${name}: ${error}`));
+        if (typeof (exam.isExtraTimeEnabled ?? false) !== 'boolean' || typeof (exam.isAutoStartEnabled ?? false) !== 'boolean') {
+            errors.push(`${name}: Extra Time and Auto-Start must be true or false.`);
+        }
+        return {
+            config,
+            isExtraTimeEnabled: exam.isExtraTimeEnabled ?? false,
+            isAutoStartEnabled: exam.isAutoStartEnabled ?? false,
+        };
+    });
+
+    const theme = isPlainObject(data.theme)
+        ? { ...pickKnown(data.theme, DEFAULT_THEME), custom: pickKnown({ ...data.theme.custom }, DEFAULT_THEME.custom) }
+        : DEFAULT_THEME;
+    errors.push(...validateTheme(theme).map(error => `Theme: ${error}`));
+
+    const language = isPlainObject(data.language) ? pickKnown(data.language, DEFAULT_LANGUAGE_SETTING) : DEFAULT_LANGUAGE_SETTING;
+    if (!(language.primary in LANGUAGES) || (language.secondary !== '' && !(language.secondary in LANGUAGES))) {
+        errors.push('Language: choose languages from the list.');
+    }
+
+    if (errors.length > 0) return { setup: null, errors };
+    return { setup: { ...data, exams, theme, language }, errors: [] };
+};
+
+export const parseSetupJson = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { setup: null, errors: ['The setup is not valid JSON.'] };
+    }
+
+    try {
+        return parseSetup(data);
+    } catch {
+        // e.g. a list where settings were expected, deep inside the config
+        return { setup: null, errors: ['The setup has settings in an unexpected format.'] };
+    }
+};
+
+// --- LINKS ---
+
+// base64url of the UTF-8 JSON (message translations aren't ASCII)
+const encodeBase64Url = (text) => {
+    let binary = '';
+    new TextEncoder().encode(text).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const decodeBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const buildSetupLink = (setup, href) => {
+    const url = new URL(href);
+    // The recipient picks their own view (and the controller would open the wrong window)
+    url.searchParams.delete('view');
+    url.hash = `${SETUP_HASH_PREFIX.slice(1)}${encodeBase64Url(JSON.stringify(setup))}`;
+    return url.toString();
+};
+
+// The setup in a URL hash: null if there isn't one, otherwise { setup, errors }
+export const readSetupFromHash = (hash) => {
+    if (!hash.startsWith(SETUP_HASH_PREFIX)) return null;
+
+    let text;
+    try {
+        text = decodeBase64Url(hash.slice(SETUP_HASH_PREFIX.length));
+    } catch {
+        return { setup: null, errors: ['The setup link is incomplete or damaged. Ask for it to be sent again.'] };
+    }
+    return parseSetupJson(text);
+};
@@ -0,0 +1,51 @@
+// --- SERVICE WORKER ---
+// Caches every built file (scripts, styles, fonts, icons) on install so the clock loads with no
+// network at all. Not imported by the app: the build fills in the file list and version
+// (see vite.config.js) and writes it out as sw.js.
+//
+// A new version installs in the background and waits. It only takes over when the page sends
+// SKIP_WAITING, which the App does when the invigilator accepts the update prompt.
+
+const CACHE_PREFIX = 'exam-clock-';
+const CACHE_NAME = `${CACHE_PREFIX}${self.__CACHE_VERSION__}`;
+// Paths relative to the service worker's scope (GitHub Pages serves the app from a subfolder)
+const PRECACHE_URLS = self.__PRECACHE_URLS__;
+
+const toScopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(toScopeUrl)))
+    );
+});
+
+// Drop the previous version's cache and take control of pages opened before the first install
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Cache first: a flaky network should never hold up loading the clock. Every page in scope is
+// the same app (the view and any shared setup are in the query and hash), so pages get index.html.
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || !request.url.startsWith(self.registration.scope)) return;
+
+    const cacheKey = request.mode === 'navigate' ? toScopeUrl('./') : request;
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.match(cacheKey, { ignoreSearch: request.mode === 'navigate' }))
+            .then(cached => cached ?? fetch(request))
+    );
+});
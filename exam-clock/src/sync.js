@@ -0,0 +1,80 @@
+// --- WINDOW SYNC ---
+// Keeps the projected display and the controller window (same browser, same origin) in step.
+// Messages go over a BroadcastChannel; localStorage 'storage' events carry the same state as a
+// fallback for browsers without BroadcastChannel. Receivers must ignore state they already have.
+//
+// Messages:
+//   { type: 'exam-state', examId, state } - an exam's full saved state
+//   { type: 'exam-list', examIds }        - the exams on screen
+//   { type: 'setting', name, value }      - a screen-wide setting (see useSyncedSetting.js)
+//   { type: 'remote-status', status }     - the multi-room sync link's state (see remoteSync.js)
+//   { type: 'kiosk-status', status }      - the projected screen's kiosk mode state (see useKioskMode.js)
+//
+// The multi-room sync link also uses this module: it hands the master's exam messages to this
+// window with deliver(), and watches what this window broadcasts with onBroadcast().
+//   { type: 'remote-exam-state', examId, state } - timing state from the master clock, in local time
+import { STORAGE_KEY, EXAM_LIST_KEY, SETTINGS_KEY } from './session.js';
+
+const CHANNEL_NAME = 'examclock';
+
+let channel = null;
+const getChannel = () => {
+    if (!channel && typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+    }
+    return channel;
+};
+
+// Listeners in this window (for deliver) and watchers of this window's broadcasts
+const localListeners = new Set();
+const broadcastWatchers = new Set();
+
+export const broadcast = (message) => {
+    getChannel()?.postMessage(message);
+    broadcastWatchers.forEach(watcher => watcher(message));
+};
+
+// Hand a message to this window's subscribers, as if it came from another window
+export const deliver = (message) => {
+    localListeners.forEach(listener => listener(message));
+};
+
+// Calls onMessage for everything this window broadcasts. Returns a function to stop watching.
+export const onBroadcast = (onMessage) => {
+    broadcastWatchers.add(onMessage);
+    return () => broadcastWatchers.delete(onMessage);
+};
+
+// Calls onMessage for every message from another window (or handed over with deliver).
+// Returns an unsubscribe function.
+export const subscribe = (onMessage) => {
+    const ch = getChannel();
+    const handleChannelMessage = (event) => onMessage(event.data);
+
+    // Translate writes to the saved state into the same messages
+    const handleStorage = (event) => {
+        if (!event.key || event.newValue === null) return;
+        try {
+            if (event.key === EXAM_LIST_KEY) {
+                onMessage({ type: 'exam-list', examIds: JSON.parse(event.newValue) });
+            } else if (event.key.startsWith(`${SETTINGS_KEY}.`)) {
+                const name = event.key.slice(SETTINGS_KEY.length + 1);
+                onMessage({ type: 'setting', name, value: JSON.parse(event.newValue) });
+            } else if (event.key.startsWith(`${STORAGE_KEY}.`)) {
+                const examId = event.key.slice(STORAGE_KEY.length + 1);
+                onMessage({ type: 'exam-state', examId, state: JSON.parse(event.newValue) });
+            }
+        } catch {
+            // Ignore corrupt values
+        }
+    };
+
+    ch?.addEventListener('message', handleChannelMessage);
+    window.addEventListener('storage', handleStorage);
+    localListeners.add(onMessage);
+    return () => {
+        localListeners.delete(onMessage);
+        ch?.removeEventListener('message', handleChannelMessage);
+        window.removeEventListener('storage', handleStorage);
+    };
+};
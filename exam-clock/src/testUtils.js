@@ -0,0 +1,11 @@
+// --- TEST HELPERS ---
+// Fixtures shared by the Vitest suites (*.test.js). Times are local, on a fixed exam day, as
+// schedules, imported timetables and leave records are all worked out in local time.
+
+export const MINUTE = 60 * 1000;
+
+// Local time on the exam day (19 October 2026)
+export const at = (hours, minutes, seconds = 0) => new Date(2026, 9, 19, hours, minutes, seconds).getTime();
+
+// Local time on another day of the same year
+export const atOnDay = (month, day, hours, minutes) => new Date(2026, month - 1, day, hours, minutes).getTime();
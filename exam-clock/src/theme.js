@@ -0,0 +1,159 @@
+// --- THEME ---
+// Branding profiles (institution name, logo, brand colours) combined with a display mode
+// (dark, light for bright rooms, or high contrast) and a font. The fonts are bundled with the
+// app (see main.jsx), so nothing is loaded from the internet in the exam hall.
+//
+// The chosen theme is a screen-wide setting: { profile, mode, font, custom }
+//   custom: the 'custom' profile's { name, brandColor, accentColor, logo (data URL or '') }
+
+// Built-in profiles. No logos are bundled; use the custom profile to add one.
+export const THEME_PROFILES = {
+    auckland: {
+        name: 'University of Auckland',
+        brandColor: '#00529b', // Dark Blue
+        accentColor: '#b50e32', // Red/Maroon
+        logo: '',
+    },
+    neutral: {
+        name: 'Neutral',
+        brandColor: '#2563eb',
+        accentColor: '#dc2626',
+        logo: '',
+    },
+};
+
+// Colours for each part of the projected screen
+//   text / subtle / muted: main text, secondary text (exam title), finished or passive text
+//   reading:               reading time countdown, markers and notices
+//   countdown:             writing time countdown
+//   alert:                 extra time and hard stop
+//   passed / track:        timeline markers already passed, and the track behind them
+export const THEME_MODES = {
+    dark: {
+        label: 'Dark',
+        background: '#000000',
+        text: '#ffffff',
+        subtle: '#d1d5db',
+        muted: '#6b7280',
+        reading: '#facc15',
+        countdown: '#f87171',
+        alert: '#f87171',
+        passed: '#4ade80',
+        track: '#374151',
+    },
+    light: {
+        label: 'Light (bright rooms)',
+        background: '#ffffff',
+        text: '#111827',
+        subtle: '#374151',
+        muted: '#6b7280',
+        reading: '#a16207',
+        countdown: '#b91c1c',
+        alert: '#b91c1c',
+        passed: '#15803d',
+        track: '#d1d5db',
+    },
+    'high-contrast': {
+        label: 'High contrast',
+        background: '#000000',
+        text: '#ffffff',
+        subtle: '#ffffff',
+        muted: '#bfbfbf',
+        reading: '#ffff00',
+        countdown: '#ffffff',
+        alert: '#ff6b6b',
+        passed: '#00ff00',
+        track: '#ffffff',
+        // Brand colours are often too dark to read on black, so they are replaced
+        brandColor: '#ffffff',
+        accentColor: '#ff6b6b',
+    },
+};
+
+export const THEME_FONTS = {
+    lexend: { label: 'Lexend', family: "'Lexend', sans-serif" },
+    atkinson: { label: 'Atkinson Hyperlegible', family: "'Atkinson Hyperlegible', sans-serif" },
+    system: { label: 'System font', family: 'system-ui, sans-serif' },
+};
+
+// Theme colours a status message can follow instead of a fixed hex colour (see messages.js)
+export const THEME_COLOR_TOKENS = {
+    text: 'Text',
+    brand: 'Brand colour',
+    accent: 'Accent colour',
+    reading: 'Reading time',
+    alert: 'Alert',
+};
+
+export const DEFAULT_THEME = {
+    profile: 'auckland',
+    mode: 'dark',
+    font: 'lexend',
+    custom: {
+        name: '',
+        brandColor: '#00529b',
+        accentColor: '#b50e32',
+        logo: '',
+    },
+};
+
+// Largest logo (as a data URL) that can be kept in the saved settings
+export const MAX_LOGO_LENGTH = 200 * 1024;
+
+const isHexColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+
+// Everything needed to draw the screen for a theme setting (falls back to the defaults for
+// anything missing, e.g. settings saved by an older version)
+export const resolveTheme = (setting) => {
+    const theme = { ...DEFAULT_THEME, ...setting };
+    const profile = theme.profile === 'custom'
+        ? { ...DEFAULT_THEME.custom, ...theme.custom }
+        : THEME_PROFILES[theme.profile] ?? THEME_PROFILES[DEFAULT_THEME.profile];
+    const mode = THEME_MODES[theme.mode] ?? THEME_MODES[DEFAULT_THEME.mode];
+    const font = THEME_FONTS[theme.font] ?? THEME_FONTS[DEFAULT_THEME.font];
+
+    return {
+        name: profile.name,
+        logo: profile.logo,
+        brandColor: profile.brandColor,
+        accentColor: profile.accentColor,
+        ...mode,
+        fontFamily: font.family,
+    };
+};
+
+// A colour that is either a theme token or a hex colour
+export const resolveThemeColor = (color, theme) => {
+    if (color === 'brand') return theme.brandColor;
+    if (color === 'accent') return theme.accentColor;
+    return color in THEME_COLOR_TOKENS ? theme[color] : color;
+};
+
+export const isValidThemeColor = (color) => color in THEME_COLOR_TOKENS || isHexColor(color);
+
+// Returns a list of human readable problems with a theme setting (empty if valid)
+export const validateTheme = (setting) => {
+    const errors = [];
+
+    if (setting.profile !== 'custom' && !(setting.profile in THEME_PROFILES)) {
+        errors.push('Choose a profile from the list.');
+    }
+    if (!(setting.mode in THEME_MODES)) {
+        errors.push('Choose a display mode from the list.');
+    }
+    if (!(setting.font in THEME_FONTS)) {
+        errors.push('Choose a font from the list.');
+    }
+
+    const { name, brandColor, accentColor, logo } = setting.custom;
+    if (typeof name !== 'string' || name.length > 60) {
+        errors.push('Institution name must be at most 60 characters.');
+    }
+    if (!isHexColor(brandColor) || !isHexColor(accentColor)) {
+        errors.push('Brand and accent colours must be hex colours like #00529b.');
+    }
+    if (typeof logo !== 'string' || logo.length > MAX_LOGO_LENGTH || (logo !== '' && !logo.startsWith('data:image/'))) {
+        errors.push('Logo must be an image file under 150 KB.');
+    }
+    return errors;
+};
@@ -0,0 +1,95 @@
+// --- UTILITY FUNCTIONS ---
+
+// Helper to format seconds into H:MM (Used for marker labels)
+export const formatTimeHMM = (totalSeconds) => {
+    const absSeconds = Math.abs(totalSeconds);
+    // H: single digit hour (no padStart)
+    const h = Math.floor(absSeconds / 3600); 
+    // MM: two digit minute (padStart)
+    const m = Math.floor((absSeconds % 3600) / 60);
+
+    let timeString = `${h}:${String(m).padStart(2, '0')}`;
+    
+    // Add negative sign if time is negative (overrun)
+    return totalSeconds < 0 ? `-${timeString}` : timeString;
+};
+
+// Helper to format seconds into H:MM:SS (Used for main countdown and overrun message)
+export const formatTimeHHMMSS = (totalSeconds) => {
+    const absSeconds = Math.abs(totalSeconds);
+    const h = Math.floor(absSeconds / 3600);
+    const m = Math.floor((absSeconds % 3600) / 60);
+    const s = absSeconds % 60;
+    
+    // H: single digit hour
+    let timeString = `${String(h)}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+
+    // Add negative sign if time is negative (overrun)
+    return totalSeconds < 0 ? `-${timeString}` : timeString;
+};
+
+// Helper to format seconds into MM:SS (Used for extra time message)
+export const formatTimeMMSS = (totalSeconds) => {
+    const absSeconds = Math.abs(totalSeconds);
+    const m = Math.floor(absSeconds / 60);
+    const s = absSeconds % 60;
+    
+    let timeString = `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}`;
+    
+    // Extra time is always negative in the state, so we don't need a '-' sign
+    return timeString;
+};
+
+// Helper to format a time adjustment with its sign, e.g. +5:00 or -1:00:00 (used for the event log and toasts)
+export const formatTimeAdjustment = (seconds) => {
+    const absSeconds = Math.abs(seconds);
+    const timeString = absSeconds >= 3600 ? formatTimeHHMMSS(absSeconds) : formatTimeMMSS(absSeconds).replace(/^0/, '');
+    return `${seconds < 0 ? '-' : '+'}${timeString}`;
+};
+
+// Helper to read a length of time typed by the invigilator: 'H:MM', 'H:MM:SS' or plain minutes.
+// Returns seconds, or null if it can't be read.
+export const parseTimeText = (text) => {
+    const match = text.trim().match(/^(?:(\d{1,2}):([0-5]\d)(?::([0-5]\d))?|(\d{1,3}))$/);
+    if (!match) return null;
+
+    const [, hours, minutes, seconds, plainMinutes] = match;
+    return plainMinutes !== undefined
+        ? Number(plainMinutes) * 60
+        : Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds ?? 0);
+};
+
+// Helper to format a time of day in a locale (24-hour H:MM unless hour12 is set)
+export const formatTimeOfDay = (at, locale = 'en-US', { hour12 = false, seconds = false } = {}) =>
+    new Date(at).toLocaleTimeString(locale, {
+        hour: hour12 ? 'numeric' : '2-digit',
+        minute: '2-digit',
+        ...(seconds && { second: '2-digit' }),
+        hour12,
+    });
+
+// Helper to calculate the next half-hour (XX:00 or XX:30)
+// leadSeconds: how long before the half hour the session has to start (e.g. reading time),
+// so a half hour that is too close to fit the lead is skipped.
+// nowMs: the current time (defaults to the system clock)
+export const calculateNextHalfHourTime = (leadSeconds = 0, nowMs = Date.now()) => {
+    const now = new Date(nowMs + leadSeconds * 1000);
+    let nextStart = new Date(now.getTime());
+
+    const currentMinutes = now.getMinutes();
+
+    if (currentMinutes < 30) {
+        // If minutes are 0-29, the next half hour is at :30
+        nextStart.setMinutes(30);
+    } else {
+        // If minutes are 30-59, the next half hour is the next hour at :00
+        nextStart.setHours(now.getHours() + 1); 
+        nextStart.setMinutes(0);
+    }
+    
+    // Always reset seconds and milliseconds
+    nextStart.setSeconds(0);
+    nextStart.setMilliseconds(0);
+    
+    return nextStart;
+};
@@ -0,0 +1,286 @@
+// --- TIMER ENGINE ---
+// The timing rules for one exam as a pure state machine, with no React or browser APIs, so they
+// can be checked without sitting through a 3 hour exam (see timerEngine.test.js).
+//
+// Timer state is a plain object:
+//   config:             the exam config (see examConfig.js)
+//   session:            start, pause and adjustment timestamps (see session.js)
+//   isExtraTimeEnabled: extra time counts on past zero, up to the config's limit
+//   isAutoStartEnabled: Auto-Start is armed
+//   scheduledStart:     the start Auto-Start is waiting for, { startTime, durationMinutes, hasMore }
+//                       from getNextScheduledStart (null until worked out on a tick)
+//
+// Phases (see getTimerView):
+//   idle       not started and nothing scheduled
+//   scheduled  waiting for Auto-Start (before the start, or between timetable sessions)
+//   running    reading or writing time counting down
+//   paused     paused by the invigilator
+//   overrun    writing time is over and extra time is counting
+//   finished   stopped at zero, or at the extra time limit
+//
+// Events (see transition):
+//   { type: 'start' }                   start, or resume after a pause
+//   { type: 'pause' }
+//   { type: 'reset' }                   back to idle, and Auto-Start off
+//   { type: 'toggle-extra-time' }
+//   { type: 'toggle-auto-start' }
+//   { type: 'adjust', seconds }         add writing time (negative to take off)
+//   { type: 'set-remaining', seconds }  leave exactly this much writing time
+//   { type: 'tick' }                    time has passed: hard stops, and arming and firing Auto-Start
+import { getExamTimings } from './examConfig.js';
+import { getNextScheduledStart } from './schedule.js';
+import { createIdleSession, getElapsedSeconds, startSession, pauseSession, pauseSessionAtElapsed } from './session.js';
+import { formatTimeAdjustment } from './timeUtils.js';
+
+export const TIMER_PHASES = ['idle', 'scheduled', 'running', 'paused', 'overrun', 'finished'];
+
+export const createTimerState = (state) => ({
+    session: createIdleSession(),
+    isExtraTimeEnabled: false,
+    isAutoStartEnabled: false,
+    scheduledStart: null,
+    ...state,
+});
+
+// Everything the screens show, derived from the timer state at `now` (ms)
+export const getTimerView = (state, now) => {
+    const { config, session, isExtraTimeEnabled, isAutoStartEnabled, scheduledStart } = state;
+    const {
+        totalSeconds: plannedSeconds,
+        readingSeconds,
+        restrictionSeconds,
+        warningThresholdSeconds,
+        extraTimeLimitSeconds,
+    } = getExamTimings(config);
+    // Writing time, including any time added or taken off during the session
+    const totalSeconds = plannedSeconds + session.adjustedSeconds;
+
+    // The session runs reading time first, then writing time.
+    // Writing time hard stops at zero, or at the extra time limit when extra time is on.
+    const stopElapsedSeconds = readingSeconds
+        + (isExtraTimeEnabled ? totalSeconds - extraTimeLimitSeconds : totalSeconds);
+    const isStarted = session.status !== 'idle';
+    // Stopped (or due to stop on the next tick)
+    const isStopped = isStarted && getElapsedSeconds(session, now) >= stopElapsedSeconds;
+    const sessionElapsedSeconds = Math.min(getElapsedSeconds(session, now), stopElapsedSeconds);
+
+    // Reading phase: moves into writing time by itself once the reading countdown runs out
+    const isReadingTime = sessionElapsedSeconds < readingSeconds;
+    const readingRemainingSeconds = readingSeconds - sessionElapsedSeconds;
+
+    // Writing time (all the exam rules work from this)
+    const timeElapsedSeconds = Math.max(0, sessionElapsedSeconds - readingSeconds);
+    const timeRemainingSeconds = totalSeconds - timeElapsedSeconds;
+
+    // Main writing time is over (always at 0, even if extra time keeps counting)
+    const isFinished = isStarted && timeRemainingSeconds <= 0;
+    const isExtraTimeOver = isExtraTimeEnabled && timeRemainingSeconds <= extraTimeLimitSeconds;
+    // Candidates may not leave in the first and final minutes of writing time
+    const isWritingTime = isStarted && !isReadingTime && !isFinished;
+    const isRestricted = isWritingTime && timeElapsedSeconds < restrictionSeconds;
+    const isWarning = isWritingTime && timeRemainingSeconds <= warningThresholdSeconds;
+
+    // When main writing time ends: fixed once it has passed (pauses after it don't move it),
+    // projected from now until then
+    const writingEndAt = !isStarted ? null
+        : isFinished ? session.startedAt + session.pausedMs - session.pausedAfterWritingMs + (readingSeconds + totalSeconds) * 1000
+        : now + (readingSeconds + totalSeconds - sessionElapsedSeconds) * 1000;
+    // Time paused since then, including a pause still going: the special conditions countdowns
+    // hold while the room is paused, so their finishes move by this much
+    const pausedAfterWritingMs = session.pausedAfterWritingMs
+        + (session.isPausedAfterWriting ? Math.max(0, now - session.pausedAt) : 0);
+    // Time spent paused this session, including a pause still going. The hard stop freezes the
+    // session but isn't a pause, so it doesn't count (nor once Auto-Start arms the next sitting).
+    const totalPausedMs = session.pausedMs
+        + (session.status === 'paused' && !isStopped ? Math.max(0, now - session.pausedAt) : 0);
+
+    // A timetable keeps arming sessions after each one finishes
+    const canArmAfterFinish = config.timetable.length > 0;
+
+    const phase = session.status === 'running' ? (isStopped ? 'finished' : isFinished ? 'overrun' : 'running')
+        : isAutoStartEnabled && scheduledStart ? 'scheduled'
+        : !isStarted ? 'idle'
+        : isStopped ? 'finished'
+        : 'paused';
+
+    return {
+        phase,
+        totalSeconds,
+        readingSeconds,
+        restrictionSeconds,
+        warningThresholdSeconds,
+        extraTimeLimitSeconds,
+        stopElapsedSeconds,
+        sessionElapsedSeconds,
+        isReadingTime,
+        readingRemainingSeconds,
+        timeElapsedSeconds,
+        timeRemainingSeconds,
+        isFinished,
+        isExtraTimeOver,
+        isRestricted,
+        isWarning,
+        writingEndAt,
+        pausedAfterWritingMs,
+        totalPausedMs,
+        // Manual start is off while Auto-Start is armed, and once the session has stopped
+        canStart: session.status !== 'running' && !isAutoStartEnabled && !isStopped,
+        canToggleExtraTime: !isExtraTimeOver,
+        // Only while paused and not finished (or with more timetable sessions to come)
+        canToggleAutoStart: session.status !== 'running' && (!isFinished || canArmAfterFinish),
+        // Before the start, the duration is changed on the setup screen instead
+        canAdjust: isStarted,
+    };
+};
+
+// No change (the same object, so callers can skip updating)
+const unchanged = (state) => ({ state, log: [] });
+
+// Adds a pause after writing time to the special conditions total once it is over (on resume,
+// or when the session stops while paused), so their countdowns carry on
+const endPauseAfterWriting = (session, now) => (!session.isPausedAfterWriting ? session : {
+    ...session,
+    pausedAfterWritingMs: session.pausedAfterWritingMs + (now - session.pausedAt),
+    isPausedAfterWriting: false,
+});
+
+// Auto-Start on a tick: work out the next start, fire it once its time comes, or disarm
+const tickAutoStart = (state, view, now) => {
+    const { config, session, isAutoStartEnabled, scheduledStart } = state;
+    if (!isAutoStartEnabled || !view.canToggleAutoStart) {
+        return scheduledStart ? { state: { ...state, scheduledStart: null }, log: [] } : unchanged(state);
+    }
+
+    // When the scheduled time is meant for writing time, reading time starts that much earlier
+    if (!scheduledStart) {
+        const next = getNextScheduledStart(config, {
+            now,
+            leadSeconds: config.autoStartPhase === 'writing' ? view.readingSeconds : 0,
+            lastStartedAt: session.startedAt,
+        });
+        // Nothing left to start today
+        if (!next) return { state: { ...state, isAutoStartEnabled: false }, log: [] };
+        return { state: { ...state, scheduledStart: next }, log: [] };
+    }
+
+    if (now < scheduledStart.startTime.getTime()) return unchanged(state);
+
+    // The start is anchored to the scheduled time (not the tick), so a time that has already
+    // passed starts with that much already counted down. Auto-Start stays armed if the
+    // timetable has more sessions.
+    const at = scheduledStart.startTime.getTime();
+    const fired = {
+        ...state,
+        isAutoStartEnabled: scheduledStart.hasMore,
+        scheduledStart: null,
+    };
+    const log = [{ type: 'auto-start', at }];
+
+    if (!config.timetable.length && !config.autoStartTime) {
+        // Next half hour: starts or resumes the current session
+        return { state: { ...fired, session: startSession(session, at) }, log };
+    }
+    // Timetable or exact time: always a fresh session, with that entry's duration
+    return {
+        state: {
+            ...fired,
+            config: { ...config, durationMinutes: scheduledStart.durationMinutes },
+            session: startSession(createIdleSession(), at),
+        },
+        log,
+    };
+};
+
+// The timer state after an event at `now` (ms), and what to record in the event log
+// (see eventLog.js). Returns { state, log: [{ type, at, note }] }; an event that doesn't apply
+// returns the same state object.
+export const transition = (state, event, now) => {
+    const view = getTimerView(state, now);
+    const { session } = state;
+
+    switch (event.type) {
+        case 'start': {
+            if (!view.canStart) return unchanged(state);
+            return {
+                state: { ...state, session: startSession(endPauseAfterWriting(session, now), now) },
+                log: [{ type: session.status === 'idle' ? 'start' : 'resume', at: now }],
+            };
+        }
+
+        case 'pause':
+            if (session.status !== 'running') return unchanged(state);
+            return {
+                // A pause in extra time also holds the special conditions countdowns
+                state: { ...state, session: { ...pauseSession(session, now), isPausedAfterWriting: view.isFinished } },
+                log: [{ type: 'pause', at: now }],
+            };
+
+        case 'reset':
+            return {
+                state: { ...state, session: createIdleSession(), isAutoStartEnabled: false, scheduledStart: null },
+                log: [{ type: 'reset', at: now }],
+            };
+
+        case 'toggle-extra-time': {
+            if (!view.canToggleExtraTime) return unchanged(state);
+            const toggled = { ...state, isExtraTimeEnabled: !state.isExtraTimeEnabled };
+            // Turning extra time off while paused in it stops the session, which can't be resumed:
+            // the pause ends here, as if resumed and stopped straight away
+            const isStopped = session.isPausedAfterWriting && getTimerView(toggled, now).phase === 'finished';
+            return {
+                state: isStopped
+                    ? { ...toggled, session: pauseSession(startSession(endPauseAfterWriting(session, now), now), now) }
+                    : toggled,
+                log: [{ type: state.isExtraTimeEnabled ? 'extra-time-off' : 'extra-time-on', at: now }],
+            };
+        }
+
+        case 'toggle-auto-start':
+            if (!view.canToggleAutoStart) return unchanged(state);
+            return {
+                state: { ...state, isAutoStartEnabled: !state.isAutoStartEnabled, scheduledStart: null },
+                log: [{ type: state.isAutoStartEnabled ? 'auto-start-off' : 'auto-start-on', at: now }],
+            };
+
+        case 'adjust': {
+            // Never takes off more than is left
+            const appliedSeconds = Math.max(event.seconds, -Math.max(0, view.timeRemainingSeconds));
+            if (!view.canAdjust || appliedSeconds === 0) return unchanged(state);
+            return {
+                state: {
+                    ...state,
+                    session: {
+                        ...session,
+                        adjustedSeconds: session.adjustedSeconds + appliedSeconds,
+                        lastAdjustment: { seconds: appliedSeconds, at: now },
+                    },
+                },
+                log: [{ type: 'time-adjusted', at: now, note: formatTimeAdjustment(appliedSeconds) }],
+            };
+        }
+
+        case 'set-remaining':
+            return transition(state, { type: 'adjust', seconds: event.seconds - view.timeRemainingSeconds }, now);
+
+        case 'tick':
+            // Hard stop: freeze the session at the exact stop point (zero, or the extra time limit),
+            // so the frozen time doesn't depend on how late the tick ran
+            if (session.status === 'running' && view.phase === 'finished') {
+                return { state: { ...state, session: pauseSessionAtElapsed(session, view.stopElapsedSeconds) }, log: [] };
+            }
+            return tickAutoStart(state, view, now);
+
+        default:
+            return unchanged(state);
+    }
+};
+
+// --- Timer Engine ---
+// The state machine driven by a clock (a function returning the time in ms), so tests can
+// run an exam on a fake clock instead of waiting for it.
+//   clock: defaults to the system clock
+export const createTimerEngine = (clock = () => Date.now()) => ({
+    now: clock,
+    getView: (state) => getTimerView(state, clock()),
+    send: (state, event) => transition(state, event, clock()),
+});
@@ -0,0 +1,298 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DEFAULT_EXAM_CONFIG } from './examConfig.js';
+import { createTimerEngine, createTimerState } from './timerEngine.js';
+import { getCandidateFinishAt } from './candidates.js';
+import { MINUTE, at } from './testUtils.js';
+
+// A one hour paper, no reading time, with a 30 minute extra time cap
+const config = { ...DEFAULT_EXAM_CONFIG, durationMinutes: 60, restrictionMinutes: 10, warningMinutes: 5 };
+
+let time;
+let engine;
+
+beforeEach(() => {
+    time = at(9, 0);
+    engine = createTimerEngine(() => time);
+});
+
+// Sends events in order, returning the final state and everything logged along the way
+const send = (state, ...events) => events.reduce(({ state: current, log }, event) => {
+    const result = engine.send(current, event);
+    return { state: result.state, log: [...log, ...result.log] };
+}, { state, log: [] });
+
+const advance = (ms) => {
+    time += ms;
+};
+
+describe('extra time hard stop', () => {
+    it('stops at zero when extra time is off', () => {
+        let { state } = send(createTimerState({ config }), { type: 'start' });
+        advance(75 * MINUTE);
+        ({ state } = send(state, { type: 'tick' }));
+
+        expect(state.session.status).toBe('paused');
+        expect(engine.getView(state)).toMatchObject({ phase: 'finished', timeRemainingSeconds: 0, isFinished: true });
+    });
+
+    it('counts on in extra time, then stops exactly at the limit even if the tick is late', () => {
+        let { state } = send(createTimerState({ config }), { type: 'toggle-extra-time' }, { type: 'start' });
+        advance(70 * MINUTE);
+        ({ state } = send(state, { type: 'tick' }));
+        expect(state.session.status).toBe('running');
+        expect(engine.getView(state)).toMatchObject({ phase: 'overrun', timeRemainingSeconds: -10 * 60 });
+
+        // The first tick after the limit comes 5 minutes late (e.g. a sleeping laptop)
+        advance(25 * MINUTE);
+        ({ state } = send(state, { type: 'tick' }));
+        expect(state.session.pausedAt).toBe(at(10, 30));
+        advance(10 * MINUTE);
+        expect(engine.getView(state)).toMatchObject({
+            phase: 'finished',
+            timeRemainingSeconds: -30 * 60,
+            isExtraTimeOver: true,
+            canStart: false,
+            canToggleExtraTime: false,
+        });
+    });
+
+    it('does not resume or turn extra time off once the limit is reached', () => {
+        let { state } = send(createTimerState({ config }), { type: 'toggle-extra-time' }, { type: 'start' });
+        advance(2 * 60 * MINUTE);
+        ({ state } = send(state, { type: 'tick' }));
+
+        const result = engine.send(state, { type: 'start' });
+        expect(result.state).toBe(state);
+        expect(result.log).toEqual([]);
+        expect(engine.send(state, { type: 'toggle-extra-time' }).state).toBe(state);
+    });
+
+    it('carries on into extra time when it is turned on after the stop at zero', () => {
+        let { state } = send(createTimerState({ config }), { type: 'start' });
+        advance(60 * MINUTE);
+        ({ state } = send(state, { type: 'tick' }, { type: 'toggle-extra-time' }));
+        expect(engine.getView(state).phase).toBe('paused');
+
+        ({ state } = send(state, { type: 'start' }));
+        advance(5 * MINUTE);
+        expect(engine.getView(state)).toMatchObject({ phase: 'overrun', timeRemainingSeconds: -5 * 60 });
+    });
+});
+
+describe('auto-start', () => {
+    it('arms on a tick and fires at the exact scheduled time', () => {
+        time = at(8, 50);
+        let { state } = send(
+            createTimerState({ config: { ...config, autoStartTime: '09:00' } }),
+            { type: 'toggle-auto-start' },
+            { type: 'tick' },
+        );
+        expect(engine.getView(state).phase).toBe('scheduled');
+        expect(state.scheduledStart.startTime.getTime()).toBe(at(9, 0));
+        // Started by hand is off while armed
+        expect(engine.send(state, { type: 'start' }).state).toBe(state);
+
+        time = at(8, 59, 59);
+        expect(engine.send(state, { type: 'tick' }).state).toBe(state);
+
+        time = at(9, 0, 2);
+        let log;
+        ({ state, log } = send(state, { type: 'tick' }));
+        expect(log).toEqual([{ type: 'auto-start', at: at(9, 0) }]);
+        expect(state.session.startedAt).toBe(at(9, 0));
+        expect(state.isAutoStartEnabled).toBe(false);
+        expect(engine.getView(state)).toMatchObject({ phase: 'running', timeElapsedSeconds: 2 });
+    });
+
+    it('starts reading time early when the scheduled time is for writing time', () => {
+        time = at(8, 30);
+        let { state } = send(
+            createTimerState({ config: { ...config, readingMinutes: 10, autoStartPhase: 'writing', autoStartTime: '09:00' } }),
+            { type: 'toggle-auto-start' },
+            { type: 'tick' },
+        );
+        time = at(8, 50);
+        ({ state } = send(state, { type: 'tick' }));
+
+        expect(engine.getView(state)).toMatchObject({ phase: 'running', isReadingTime: true, readingRemainingSeconds: 10 * 60 });
+        time = at(9, 0);
+        expect(engine.getView(state)).toMatchObject({ isReadingTime: false, timeRemainingSeconds: 60 * 60 });
+    });
+
+    it('runs each timetable session with its own duration, staying armed between them', () => {
+        time = at(8, 0);
+        const timetable = [{ time: '09:00', durationMinutes: 60 }, { time: '11:00', durationMinutes: 90 }];
+        let { state } = send(
+            createTimerState({ config: { ...config, timetable } }),
+            { type: 'toggle-auto-start' },
+            { type: 'tick' },
+        );
+        time = at(9, 0);
+        ({ state } = send(state, { type: 'tick' }));
+        expect(state.isAutoStartEnabled).toBe(true);
+        expect(state.config.durationMinutes).toBe(60);
+
+        // First session hard stops, then the second is armed
+        time = at(10, 0);
+        ({ state } = send(state, { type: 'tick' }, { type: 'tick' }));
+        expect(engine.getView(state).phase).toBe('scheduled');
+        expect(state.scheduledStart.startTime.getTime()).toBe(at(11, 0));
+
+        time = at(11, 0);
+        ({ state } = send(state, { type: 'tick' }));
+        expect(state.config.durationMinutes).toBe(90);
+        expect(state.isAutoStartEnabled).toBe(false);
+        expect(engine.getView(state)).toMatchObject({ phase: 'running', timeRemainingSeconds: 90 * 60 });
+    });
+
+    it('does not count the time between timetable sessions as paused', () => {
+        time = at(8, 0);
+        const timetable = [{ time: '09:00', durationMinutes: 60 }, { time: '13:00', durationMinutes: 60 }];
+        let { state } = send(
+            createTimerState({ config: { ...config, timetable } }),
+            { type: 'toggle-auto-start' },
+            { type: 'tick' },
+        );
+        time = at(9, 0);
+        ({ state } = send(state, { type: 'tick' }));
+
+        // Hard stops at 10:00, then waits for the 13:00 sitting
+        time = at(10, 0);
+        ({ state } = send(state, { type: 'tick' }, { type: 'tick' }));
+        time = at(12, 0);
+        expect(engine.getView(state)).toMatchObject({ phase: 'scheduled', totalPausedMs: 0 });
+    });
+
+    it('turns itself off when nothing is left to start today', () => {
+        time = at(12, 0);
+        const { state } = send(
+            createTimerState({ config: { ...config, autoStartTime: '09:00' } }),
+            { type: 'toggle-auto-start' },
+            { type: 'tick' },
+        );
+        expect(state.isAutoStartEnabled).toBe(false);
+        expect(engine.getView(state).phase).toBe('idle');
+    });
+
+    it('is disarmed by a reset', () => {
+        time = at(8, 50);
+        const { state, log } = send(
+            createTimerState({ config: { ...config, autoStartTime: '09:00' } }),
+            { type: 'toggle-auto-start' },
+            { type: 'tick' },
+            { type: 'reset' },
+        );
+        expect(state).toMatchObject({ isAutoStartEnabled: false, scheduledStart: null });
+        expect(log.map(entry => entry.type)).toEqual(['auto-start-on', 'reset']);
+    });
+});
+
+describe('pause and resume', () => {
+    it('does not count paused time, across the move from reading to writing time', () => {
+        let { state } = send(createTimerState({ config: { ...config, readingMinutes: 10 } }), { type: 'start' });
+        advance(8 * MINUTE);
+        ({ state } = send(state, { type: 'pause' }));
+        advance(60 * MINUTE);
+        expect(engine.getView(state)).toMatchObject({ phase: 'paused', isReadingTime: true, readingRemainingSeconds: 2 * 60 });
+
+        let log;
+        ({ state, log } = send(state, { type: 'tick' }, { type: 'start' }));
+        advance(3 * MINUTE);
+        expect(log.map(entry => entry.type)).toEqual(['resume']);
+        expect(engine.getView(state)).toMatchObject({ phase: 'running', isReadingTime: false, timeElapsedSeconds: 60 });
+    });
+
+    it('keeps the leaving rules in step with paused time', () => {
+        let { state } = send(createTimerState({ config }), { type: 'start' });
+        advance(9 * MINUTE);
+        ({ state } = send(state, { type: 'pause' }));
+        advance(30 * MINUTE);
+        ({ state } = send(state, { type: 'start' }));
+        expect(engine.getView(state).isRestricted).toBe(true);
+
+        advance(2 * MINUTE);
+        expect(engine.getView(state).isRestricted).toBe(false);
+
+        advance(45 * MINUTE);
+        expect(engine.getView(state)).toMatchObject({ isWarning: true, timeRemainingSeconds: 4 * 60 });
+    });
+
+    it('pauses and resumes in extra time without moving the hard stop', () => {
+        let { state } = send(createTimerState({ config }), { type: 'toggle-extra-time' }, { type: 'start' });
+        advance(70 * MINUTE);
+        ({ state } = send(state, { type: 'pause' }));
+        advance(15 * MINUTE);
+        expect(engine.getView(state)).toMatchObject({ phase: 'paused', timeRemainingSeconds: -10 * 60 });
+
+        ({ state } = send(state, { type: 'start' }));
+        advance(20 * MINUTE);
+        ({ state } = send(state, { type: 'tick' }));
+        expect(state.session.pausedAt).toBe(at(10, 45));
+        expect(engine.getView(state)).toMatchObject({ phase: 'finished', timeRemainingSeconds: -30 * 60, totalPausedMs: 15 * MINUTE });
+    });
+
+    it('moves the finish when time is added, and never takes off more than is left', () => {
+        let { state } = send(createTimerState({ config }), { type: 'start' });
+        advance(50 * MINUTE);
+        let log;
+        ({ state, log } = send(state, { type: 'adjust', seconds: 5 * 60 }));
+        expect(log).toEqual([{ type: 'time-adjusted', at: at(9, 50), note: '+5:00' }]);
+        expect(engine.getView(state).timeRemainingSeconds).toBe(15 * 60);
+
+        ({ state } = send(state, { type: 'adjust', seconds: -60 * 60 }));
+        expect(state.session.adjustedSeconds).toBe(-10 * 60);
+        expect(engine.getView(state)).toMatchObject({ phase: 'finished', timeRemainingSeconds: 0 });
+    });
+});
+
+describe('special conditions after writing time', () => {
+    it('holds their countdowns while the room is paused in extra time', () => {
+        let { state } = send(createTimerState({ config }), { type: 'toggle-extra-time' }, { type: 'start' });
+        advance(70 * MINUTE);
+        // Fire alarm at 10:10, 10 minutes into a candidate's 20 minute allowance
+        ({ state } = send(state, { type: 'pause' }));
+        advance(15 * MINUTE);
+
+        let view = engine.getView(state);
+        expect(view.writingEndAt).toBe(at(10, 0));
+        expect(view.pausedAfterWritingMs).toBe(15 * MINUTE);
+        expect(getCandidateFinishAt(20, view)).toBe(at(10, 35));
+
+        ({ state } = send(state, { type: 'start' }));
+        advance(5 * MINUTE);
+        view = engine.getView(state);
+        // The end of writing time stays put; only the candidates' finish moves
+        expect(view.writingEndAt).toBe(at(10, 0));
+        expect(getCandidateFinishAt(20, view)).toBe(at(10, 35));
+    });
+
+    it('does not count pauses before writing time ended, or the hard stop', () => {
+        let { state } = send(createTimerState({ config }), { type: 'start' });
+        advance(30 * MINUTE);
+        ({ state } = send(state, { type: 'pause' }));
+        advance(10 * MINUTE);
+        ({ state } = send(state, { type: 'start' }));
+        advance(40 * MINUTE);
+        ({ state } = send(state, { type: 'tick' }));
+        advance(20 * MINUTE);
+
+        const view = engine.getView(state);
+        expect(view).toMatchObject({ phase: 'finished', writingEndAt: at(10, 10), pausedAfterWritingMs: 0 });
+        expect(getCandidateFinishAt(20, view)).toBe(at(10, 30));
+    });
+
+    it('carries on counting down when extra time is turned off during a pause', () => {
+        let { state } = send(createTimerState({ config }), { type: 'toggle-extra-time' }, { type: 'start' });
+        advance(70 * MINUTE);
+        ({ state } = send(state, { type: 'pause' }));
+        advance(5 * MINUTE);
+        // Turning extra time off stops the session for good, so the pause ends here too
+        ({ state } = send(state, { type: 'toggle-extra-time' }));
+        expect(state.session.isPausedAfterWriting).toBe(false);
+
+        advance(60 * MINUTE);
+        const view = engine.getView(state);
+        expect(view).toMatchObject({ phase: 'finished', canStart: false, writingEndAt: at(10, 0), pausedAfterWritingMs: 5 * MINUTE });
+        expect(getCandidateFinishAt(20, view)).toBe(at(10, 25));
+    });
+});
@@ -0,0 +1,488 @@
+// --- TIMETABLE IMPORT ---
+// Reads the exam office's sitting schedule from an iCalendar (.ics) or spreadsheet (CSV) export,
+// so the invigilator can pick today's sitting for this room instead of typing it in.
+//
+// A sitting: { courseCode, title, startAt, durationMinutes, room }
+//   startAt: ms timestamp of the start (shown in this computer's time zone)
+//
+// The parsers return { sittings, errors, warnings }:
+//   errors:   events or rows that were skipped, and why
+//   warnings: things that were read with an assumption worth checking (mostly time zones)
+import { CONFIG_FIELDS, TEXT_FIELDS } from './examConfig.js';
+import { parseTimeText } from './timeUtils.js';
+
+// --- TIME ZONES ---
+
+// This computer's time zone, e.g. 'Pacific/Auckland'
+const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const isKnownTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// How far `timeZone` is ahead of UTC at the moment `utcMs`, in ms
+const getTimeZoneOffsetMs = (timeZone, utcMs) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+    }).formatToParts(new Date(utcMs)).map(({ type, value }) => [type, Number(value)]));
+    const wallClockAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClockAsUtc - Math.floor(utcMs / 1000) * 1000;
+};
+
+// Date and time fields as read on a clock in `timeZone` -> ms timestamp.
+// The offset is looked up twice, so times near a daylight saving change come out right.
+const zonedTimeToMs = ({ year, month, day, hours, minutes, seconds }, timeZone) => {
+    const asUtc = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+    const firstGuess = asUtc - getTimeZoneOffsetMs(timeZone, asUtc);
+    return asUtc - getTimeZoneOffsetMs(timeZone, firstGuess);
+};
+
+const localTimeToMs = ({ year, month, day, hours, minutes, seconds }) =>
+    new Date(year, month - 1, day, hours, minutes, seconds).getTime();
+
+// Whether date and time fields name a real moment. Date.UTC and new Date() quietly roll
+// 30 February over into March, which would put a sitting on the wrong day.
+const isRealDateTime = ({ year, month, day, hours = 0, minutes = 0, seconds = 0 }) =>
+    month >= 1 && month <= 12
+    && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate()
+    && hours <= 23 && minutes <= 59 && seconds <= 59;
+
+// --- SITTINGS ---
+
+// 'COMPSCI 101 - Principles of Programming' -> course code and title.
+// Text that doesn't start with a course code is all title.
+const COURSE_CODE_PATTERN = /^([A-Za-z]{2,}\s?\d{2,4}[A-Za-z]{0,2})(?:\s*[-–:|]\s*(.*))?$/;
+
+const splitSummary = (summary) => {
+    const match = summary.trim().match(COURSE_CODE_PATTERN);
+    return match ? { courseCode: match[1], title: (match[2] ?? '').trim() } : { courseCode: '', title: summary.trim() };
+};
+
+// Returns a list of problems with a sitting read from a file (empty if it can be used)
+const validateSitting = ({ courseCode, title, durationMinutes }) => {
+    const errors = [];
+    if (courseCode.length > TEXT_FIELDS.courseCode.maxLength) {
+        errors.push(`course code is longer than ${TEXT_FIELDS.courseCode.maxLength} characters`);
+    }
+    if (title.length > TEXT_FIELDS.title.maxLength) {
+        errors.push(`title is longer than ${TEXT_FIELDS.title.maxLength} characters`);
+    }
+    const { min, max } = CONFIG_FIELDS.durationMinutes;
+    if (!Number.isInteger(durationMinutes) || durationMinutes < min || durationMinutes > max) {
+        errors.push(`duration must be a whole number of minutes between ${min} and ${max}`);
+    }
+    return errors;
+};
+
+// --- ICALENDAR ---
+
+// Long lines are folded onto the next line with a leading space or tab
+const unfoldIcsLines = (text) => text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+// 'DTSTART;TZID=Pacific/Auckland:20261019T093000' -> { name, params, value }
+const parseIcsLine = (line) => {
+    // The value starts after the first colon that isn't inside a quoted parameter
+    let isQuoted = false;
+    let colonIndex = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') isQuoted = !isQuoted;
+        if (line[i] === ':' && !isQuoted) {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+    const params = Object.fromEntries(paramParts.map(part => {
+        const [key, ...rest] = part.split('=');
+        return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+    }));
+    return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+};
+
+const unescapeIcsText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? ' ' : char));
+
+const ICS_DATE_TIME_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+
+// DTSTART / DTEND -> { at } or { error }. Adds any time zone assumption to `warnings`.
+const readIcsDateTime = (property, warnings) => {
+    if (property.params.VALUE === 'DATE' || /^\d{8}$/.test(property.value)) {
+        return { error: 'is an all-day event (it has no start time)' };
+    }
+    const match = property.value.match(ICS_DATE_TIME_PATTERN);
+    if (!match) return { error: `has a time that can't be read ("${property.value}")` };
+
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const fields = { year: +year, month: +month, day: +day, hours: +hours, minutes: +minutes, seconds: +seconds };
+    if (!isRealDateTime(fields)) return { error: `has a date or time that doesn't exist ("${property.value}")` };
+    if (utc) return { at: Date.UTC(fields.year, fields.month - 1, fields.day, fields.hours, fields.minutes, fields.seconds) };
+
+    const timeZone = property.params.TZID;
+    if (!timeZone) {
+        warnings.add(`Some times in the file have no time zone, so they were read as this computer's time zone (${getLocalTimeZone()}). Check them against the exam office's timetable.`);
+        return { at: localTimeToMs(fields) };
+    }
+    if (!isKnownTimeZone(timeZone)) {
+        return { error: `uses a time zone this computer doesn't know ("${timeZone}"); export the calendar with a time zone such as Pacific/Auckland, or in UTC` };
+    }
+    if (timeZone !== getLocalTimeZone()) {
+        warnings.add(`Times in ${timeZone} were converted to this computer's time zone (${getLocalTimeZone()}).`);
+    }
+    return { at: zonedTimeToMs(fields, timeZone) };
+};
+
+// 'PT3H', 'PT2H30M', 'P1DT2H' -> minutes, or null
+const readIcsDuration = (value) => {
+    const match = value.match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match || value === 'P' || value.endsWith('T')) return null;
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+    return Number(days) * 24 * 60 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60;
+};
+
+export const parseIcs = (text) => {
+    const sittings = [];
+    const errors = [];
+    const warnings = new Set();
+
+    if (!/^BEGIN:VCALENDAR/m.test(text)) {
+        return { sittings, errors: ['This is not an iCalendar file (no BEGIN:VCALENDAR).'], warnings: [] };
+    }
+
+    // Properties of each VEVENT, by name
+    const events = [];
+    let current = null;
+    unfoldIcsLines(text).forEach(line => {
+        if (line === 'BEGIN:VEVENT') {
+            current = {};
+        } else if (line === 'END:VEVENT' && current) {
+            events.push(current);
+            current = null;
+        } else if (current) {
+            const property = parseIcsLine(line);
+            // Only the first of a repeated property counts
+            if (property && !(property.name in current)) current[property.name] = property;
+        }
+    });
+
+    events.forEach((event, index) => {
+        const summary = event.SUMMARY ? unescapeIcsText(event.SUMMARY.value) : '';
+        const name = `Event ${index + 1}${summary ? ` ("${summary}")` : ''}`;
+
+        if (!event.DTSTART) {
+            errors.push(`${name} has no start time (DTSTART).`);
+            return;
+        }
+        if (event.RRULE) {
+            warnings.add('Repeating events were read as their first occurrence only.');
+        }
+
+        const start = readIcsDateTime(event.DTSTART, warnings);
+        if (start.error) {
+            errors.push(`${name} ${start.error}.`);
+            return;
+        }
+
+        let durationMinutes;
+        if (event.DTEND) {
+            const end = readIcsDateTime(event.DTEND, warnings);
+            if (end.error) {
+                errors.push(`${name}: its end ${end.error}.`);
+                return;
+            }
+            durationMinutes = (end.at - start.at) / 60000;
+        } else if (event.DURATION) {
+            durationMinutes = readIcsDuration(event.DURATION.value);
+            if (durationMinutes === null) {
+                errors.push(`${name} has a duration that can't be read ("${event.DURATION.value}").`);
+                return;
+            }
+        } else {
+            errors.push(`${name} has no end time or duration.`);
+            return;
+        }
+
+        const sitting = {
+            ...splitSummary(summary),
+            startAt: start.at,
+            durationMinutes,
+            room: event.LOCATION ? unescapeIcsText(event.LOCATION.value).trim() : '',
+        };
+        const problems = validateSitting(sitting);
+        if (problems.length > 0) {
+            errors.push(`${name}: ${problems.join('; ')}.`);
+            return;
+        }
+        sittings.push(sitting);
+    });
+
+    if (events.length === 0) errors.push('The calendar has no events.');
+    return { sittings, errors, warnings: [...warnings] };
+};
+
+// --- CSV ---
+
+// Rows of fields. Quoted fields may hold commas, doubled quotes and line breaks.
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let isQuoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (isQuoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                isQuoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            isQuoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Column headings accepted for each value (compared without case)
+const CSV_COLUMNS = {
+    courseCode: ['course code', 'course', 'code', 'paper code', 'subject'],
+    title: ['title', 'paper', 'paper title', 'course title', 'exam', 'name'],
+    date: ['date', 'exam date'],
+    start: ['start', 'start time', 'time', 'starts'],
+    end: ['end', 'end time', 'finish', 'finish time'],
+    duration: ['duration', 'duration (minutes)', 'duration (mins)', 'minutes', 'length'],
+    room: ['room', 'venue', 'location'],
+};
+
+// '2026-10-19', '2026/10/19' or '19/10/2026' (day first) -> { year, month, day }, or null
+const readCsvDate = (value, warnings) => {
+    let match = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    if (match) {
+        const date = { year: +match[1], month: +match[2], day: +match[3] };
+        return isRealDateTime(date) ? date : null;
+    }
+
+    match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return null;
+    const date = { year: +match[3], month: +match[2], day: +match[1] };
+    if (!isRealDateTime(date)) return null;
+    if (date.day <= 12 && date.month <= 12) {
+        warnings.add('Dates like 03/04/2026 were read as day/month/year.');
+    }
+    return date;
+};
+
+// '9:30', '09:30:00', '9:30 am', '2:00 PM' -> { hours, minutes, seconds }, or null
+const readCsvTime = (value) => {
+    const match = value.match(/^(\d{1,2})[:.](\d{2})(?::(\d{2}))?\s*([ap]\.?m\.?)?$/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const [, , minutes, seconds = 0, meridiem] = match;
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = (hours % 12) + (meridiem[0].toLowerCase() === 'p' ? 12 : 0);
+    }
+    if (hours > 23 || Number(minutes) > 59 || Number(seconds) > 59) return null;
+    return { hours, minutes: Number(minutes), seconds: Number(seconds) };
+};
+
+// Date and time in one field: '2026-10-19T09:30', '2026-10-19 09:30', with an optional
+// 'Z' or '+13:00' offset -> { at }, { error } for one that doesn't exist, or null
+const readCsvDateTime = (value, warnings) => {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2}(?::\d{2})?)(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (!match) return null;
+
+    const date = readCsvDate(match[1], warnings);
+    const time = readCsvTime(match[2]);
+    if (!date || !time) return { error: 'is not a real date and time' };
+    if (!match[3]) return { at: localTimeToMs({ ...date, ...time }) };
+
+    const utcMs = Date.UTC(date.year, date.month - 1, date.day, time.hours, time.minutes, time.seconds);
+    if (match[3].toUpperCase() === 'Z') return { at: utcMs };
+
+    const [, sign, offsetHours, offsetMinutes] = match[3].match(/([+-])(\d{2}):?(\d{2})/);
+    const offsetMs = (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000;
+    const at = utcMs - offsetMs;
+    if (offsetMs !== -new Date(at).getTimezoneOffset() * 60000) {
+        warnings.add(`Times with a UTC offset different from this computer's (${getLocalTimeZone()}) were converted to its time zone.`);
+    }
+    return { at };
+};
+
+export const parseCsv = (text) => {
+    const sittings = [];
+    const errors = [];
+    const warnings = new Set();
+
+    // Spreadsheet exports often start with a byte order mark, and end with blank rows
+    const [header = [], ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''))
+        .filter(row => row.some(field => field.trim() !== ''));
+    const headings = header.map(heading => heading.trim().toLowerCase().replace(/\s+/g, ' '));
+    const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) =>
+        [key, headings.findIndex(heading => names.includes(heading))]));
+
+    const missing = [];
+    if (columns.start === -1) missing.push('a start time (Start)');
+    if (columns.duration === -1 && columns.end === -1) missing.push('a duration in minutes (Duration) or an end time (End)');
+    if (columns.courseCode === -1 && columns.title === -1) missing.push('a course code (Course Code) or title (Title)');
+    if (missing.length > 0) {
+        return { sittings, errors: [`The first row must name the columns. Missing: ${missing.join(', ')}.`], warnings: [] };
+    }
+
+    const getField = (row, key) => (columns[key] === -1 ? '' : (row[columns[key]] ?? '').trim());
+
+    rows.forEach((row, index) => {
+        // Counting the header, as a spreadsheet shows it
+        const name = `Row ${index + 2}`;
+
+        // Start: a date and time in one column, or separate Date and Start columns
+        const startText = getField(row, 'start');
+        let startAt;
+        const dateTime = readCsvDateTime(startText, warnings);
+        if (dateTime?.error) {
+            errors.push(`${name}: start "${startText}" ${dateTime.error}.`);
+            return;
+        }
+        if (dateTime) {
+            startAt = dateTime.at;
+        } else {
+            const dateText = getField(row, 'date');
+            const date = readCsvDate(dateText, warnings);
+            const time = readCsvTime(startText);
+            if (!date) {
+                errors.push(columns.date === -1
+                    ? `${name}: start "${startText}" needs a date, e.g. 2026-10-19 09:30 (or add a Date column).`
+                    : `${name}: date "${dateText}" can't be read or doesn't exist (use YYYY-MM-DD or DD/MM/YYYY).`);
+                return;
+            }
+            if (!time) {
+                errors.push(`${name}: start time "${startText}" can't be read (use HH:MM, e.g. 09:30 or 2:00 PM).`);
+                return;
+            }
+            startAt = localTimeToMs({ ...date, ...time });
+        }
+
+        // Length: minutes or H:MM, or worked out from an end time on the same day
+        let durationMinutes;
+        const durationText = getField(row, 'duration');
+        const endText = getField(row, 'end');
+        if (durationText !== '') {
+            const seconds = parseTimeText(durationText);
+            if (seconds === null) {
+                errors.push(`${name}: duration "${durationText}" can't be read (use minutes, e.g. 180, or H:MM).`);
+                return;
+            }
+            durationMinutes = seconds / 60;
+        } else if (endText !== '') {
+            const endDateTime = readCsvDateTime(endText, warnings);
+            if (endDateTime?.error) {
+                errors.push(`${name}: end "${endText}" ${endDateTime.error}.`);
+                return;
+            }
+            const endTime = !endDateTime && readCsvTime(endText);
+            if (!endDateTime && !endTime) {
+                errors.push(`${name}: end time "${endText}" can't be read (use HH:MM).`);
+                return;
+            }
+            const startDate = new Date(startAt);
+            const endAt = endDateTime ? endDateTime.at : localTimeToMs({
+                year: startDate.getFullYear(),
+                month: startDate.getMonth() + 1,
+                day: startDate.getDate(),
+                ...endTime,
+            });
+            if (endAt <= startAt) {
+                errors.push(`${name}: end time "${endText}" is not after the start.`);
+                return;
+            }
+            durationMinutes = (endAt - startAt) / 60000;
+        } else {
+            errors.push(`${name} has no duration or end time.`);
+            return;
+        }
+
+        const codeText = getField(row, 'courseCode');
+        const titleText = getField(row, 'title');
+        const sitting = {
+            // A title column holding 'CODE - Title' is split up like an iCalendar summary
+            ...(codeText === '' ? splitSummary(titleText) : { courseCode: codeText, title: titleText }),
+            startAt,
+            durationMinutes,
+            room: getField(row, 'room'),
+        };
+        const problems = validateSitting(sitting);
+        if (problems.length > 0) {
+            errors.push(`${name}: ${problems.join('; ')}.`);
+            return;
+        }
+        sittings.push(sitting);
+    });
+
+    if (rows.length === 0) errors.push('The file has no rows under the column headings.');
+    return { sittings, errors, warnings: [...warnings] };
+};
+
+// --- PICKING A SITTING ---
+
+// Reads a timetable file by its extension (or its content, if the extension doesn't say)
+export const parseTimetableFile = (fileName, text) => {
+    if (/\.ics$/i.test(fileName) || /^\s*BEGIN:VCALENDAR/.test(text)) return parseIcs(text);
+    return parseCsv(text);
+};
+
+// Rooms are compared without case or extra spaces ('Room  b201' is 'room b201')
+const normalizeRoom = (room) => room.trim().toLowerCase().replace(/\s+/g, ' ');
+
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+// Rooms with sittings on the day of `now`, for the room picker
+export const getRoomsForDay = (sittings, now) =>
+    [...new Set(sittings.filter(s => isSameDay(s.startAt, now) && s.room !== '').map(s => s.room))].sort();
+
+// Sittings on the day of `now` in `room` (every room if blank), earliest first
+export const getSittingsForDay = (sittings, { now, room }) => sittings
+    .filter(s => isSameDay(s.startAt, now) && (room.trim() === '' || normalizeRoom(s.room) === normalizeRoom(room)))
+    .sort((a, b) => a.startAt - b.startAt);
+
+// The setup screen values a sitting fills in: course code, title, duration and Auto-Start time
+export const sittingToConfig = ({ courseCode, title, startAt, durationMinutes }) => {
+    const start = new Date(startAt);
+    return {
+        courseCode,
+        title,
+        durationMinutes,
+        autoStartTime: `${String(start.getHours()).padStart(2, '0')}:${String(start.getMinutes()).padStart(2, '0')}`,
+    };
+};
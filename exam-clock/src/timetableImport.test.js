@@ -0,0 +1,154 @@
+import { describe, it, expect } from 'vitest';
+import { parseIcs, parseCsv, getSittingsForDay } from './timetableImport.js';
+import { at, atOnDay } from './testUtils.js';
+
+// A calendar holding the given VEVENTs, each a list of property lines
+const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR',
+].join('\r\n');
+
+const csv = (...rows) => rows.join('\r\n');
+
+describe('iCalendar', () => {
+    it('reads times in a named time zone', () => {
+        const { sittings, errors } = parseIcs(calendar([
+            'SUMMARY:COMPSCI 101 - Principles of Programming',
+            'DTSTART;TZID=Pacific/Auckland:20261019T093000',
+            'DTEND;TZID=Pacific/Auckland:20261019T123000',
+            'LOCATION:Room B201',
+        ]));
+
+        expect(errors).toEqual([]);
+        // New Zealand daylight time is 13 hours ahead of UTC
+        expect(sittings).toEqual([{
+            courseCode: 'COMPSCI 101',
+            title: 'Principles of Programming',
+            startAt: Date.UTC(2026, 9, 18, 20, 30),
+            durationMinutes: 180,
+            room: 'Room B201',
+        }]);
+    });
+
+    it('reads UTC times', () => {
+        const { sittings, errors, warnings } = parseIcs(calendar([
+            'SUMMARY:MATHS 108',
+            'DTSTART:20261019T013000Z',
+            'DURATION:PT2H',
+        ]));
+
+        expect(errors).toEqual([]);
+        expect(warnings).toEqual([]);
+        expect(sittings).toMatchObject([{ courseCode: 'MATHS 108', startAt: Date.UTC(2026, 9, 19, 1, 30), durationMinutes: 120 }]);
+    });
+
+    it('reads floating times as local time, with a warning', () => {
+        const { sittings, warnings } = parseIcs(calendar([
+            'SUMMARY:MATHS 108',
+            'DTSTART:20261019T093000',
+            'DURATION:PT2H',
+        ]));
+
+        expect(sittings).toMatchObject([{ startAt: at(9, 30) }]);
+        expect(warnings).toEqual([expect.stringContaining('have no time zone')]);
+    });
+
+    it('skips all-day events', () => {
+        const { sittings, errors } = parseIcs(calendar(
+            ['SUMMARY:Study break', 'DTSTART;VALUE=DATE:20261019', 'DTEND;VALUE=DATE:20261020'],
+            ['SUMMARY:MATHS 108', 'DTSTART:20261019T013000Z', 'DURATION:PT2H'],
+        ));
+
+        expect(errors).toEqual(['Event 1 ("Study break") is an all-day event (it has no start time).']);
+        expect(sittings).toMatchObject([{ courseCode: 'MATHS 108' }]);
+    });
+
+    it('skips dates and times that don\'t exist', () => {
+        const { sittings, errors } = parseIcs(calendar(
+            ['SUMMARY:MATHS 108', 'DTSTART:20261399T093000Z', 'DURATION:PT2H'],
+            ['SUMMARY:MATHS 208', 'DTSTART;TZID=Pacific/Auckland:20260230T093000', 'DURATION:PT2H'],
+            ['SUMMARY:MATHS 308', 'DTSTART:20261019T253000Z', 'DURATION:PT2H'],
+        ));
+
+        expect(errors).toEqual([
+            'Event 1 ("MATHS 108") has a date or time that doesn\'t exist ("20261399T093000Z").',
+            'Event 2 ("MATHS 208") has a date or time that doesn\'t exist ("20260230T093000").',
+            'Event 3 ("MATHS 308") has a date or time that doesn\'t exist ("20261019T253000Z").',
+        ]);
+        expect(sittings).toEqual([]);
+    });
+});
+
+describe('CSV', () => {
+    it('names the row of each one it skips', () => {
+        const { sittings, errors } = parseCsv(csv(
+            'Course Code,Title,Date,Start,Duration,Room',
+            'COMPSCI 101,Principles of Programming,2026-10-19,09:30,180,Room B201',
+            'MATHS 108,Calculus,2026-10-19,soon,120,Room B201',
+            'PHYSICS 120,Mechanics,2026-10-19,14:00,abc,Room B201',
+        ));
+
+        expect(errors).toEqual([
+            'Row 3: start time "soon" can\'t be read (use HH:MM, e.g. 09:30 or 2:00 PM).',
+            'Row 4: duration "abc" can\'t be read (use minutes, e.g. 180, or H:MM).',
+        ]);
+        expect(sittings).toEqual([{
+            courseCode: 'COMPSCI 101',
+            title: 'Principles of Programming',
+            startAt: at(9, 30),
+            durationMinutes: 180,
+            room: 'Room B201',
+        }]);
+    });
+
+    it('reads dates day first, warning when the day and month could be swapped', () => {
+        const unambiguous = parseCsv(csv('Course Code,Date,Start,Duration', 'MATHS 108,19/10/2026,9:30 am,120'));
+        expect(unambiguous.warnings).toEqual([]);
+        expect(unambiguous.sittings).toMatchObject([{ startAt: at(9, 30) }]);
+
+        const ambiguous = parseCsv(csv('Course Code,Date,Start,Duration', 'MATHS 108,03/04/2026,9:30 am,120'));
+        expect(ambiguous.warnings).toEqual(['Dates like 03/04/2026 were read as day/month/year.']);
+        expect(ambiguous.sittings).toMatchObject([{ startAt: atOnDay(4, 3, 9, 30) }]);
+    });
+
+    it('skips rows with dates that don\'t exist', () => {
+        const dated = parseCsv(csv(
+            'Course Code,Date,Start,Duration',
+            'MATHS 108,31/13/2026,09:30,120',
+            'MATHS 208,2026-02-30,09:30,120',
+        ));
+        expect(dated.errors).toEqual([
+            'Row 2: date "31/13/2026" can\'t be read or doesn\'t exist (use YYYY-MM-DD or DD/MM/YYYY).',
+            'Row 3: date "2026-02-30" can\'t be read or doesn\'t exist (use YYYY-MM-DD or DD/MM/YYYY).',
+        ]);
+        expect(dated.warnings).toEqual([]);
+        expect(dated.sittings).toEqual([]);
+
+        const combined = parseCsv(csv('Course Code,Start,End', 'MATHS 108,2026-02-30 09:30,2026-02-30 11:30'));
+        expect(combined.errors).toEqual(['Row 2: start "2026-02-30 09:30" is not a real date and time.']);
+        expect(combined.sittings).toEqual([]);
+    });
+});
+
+describe('getSittingsForDay', () => {
+    const sitting = (courseCode, startAt, room) => ({ courseCode, title: '', startAt, durationMinutes: 120, room });
+    const sittings = [
+        sitting('PHYSICS 120', at(14, 0), 'Room B201'),
+        sitting('MATHS 108', at(9, 30), 'room  b201'),
+        sitting('COMPSCI 101', at(9, 30), 'Room C105'),
+        sitting('CHEM 110', atOnDay(10, 20, 9, 30), 'Room B201'),
+    ];
+    const now = at(8, 0);
+
+    it('lists the day\'s sittings in one room, earliest first', () => {
+        expect(getSittingsForDay(sittings, { now, room: ' Room B201 ' }).map(s => s.courseCode))
+            .toEqual(['MATHS 108', 'PHYSICS 120']);
+    });
+
+    it('lists every room\'s sittings when no room is given', () => {
+        expect(getSittingsForDay(sittings, { now, room: '' }).map(s => s.courseCode))
+            .toEqual(['MATHS 108', 'COMPSCI 101', 'PHYSICS 120']);
+    });
+});
@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+// How long the mouse has to stay still before the cursor and controls hide
+const IDLE_MS = 3000;
+
+// --- Kiosk Mode Hook ---
+// For the projected screen, which runs for hours: fullscreen, a screen wake lock so the computer
+// doesn't sleep mid-exam, and the cursor and controls hidden until the mouse moves.
+// Leaving fullscreen (e.g. Esc) leaves kiosk mode. The browser drops the wake lock whenever the
+// tab is hidden, so it is taken again when the tab comes back.
+//   isExamRunning: whether any exam's countdown is running (a hidden tab then needs a warning)
+// Returns { isKiosk, enterKiosk, exitKiosk, isIdle, wakeLock, retryWakeLock, isHidden,
+//           hiddenWhileRunningMs, dismissHiddenWarning }
+//   wakeLock:             'off' | 'active' | 'lost' (released or refused) | 'unsupported'
+//   hiddenWhileRunningMs: how long the tab was last hidden while an exam ran (null if not, or dismissed)
+const useKioskMode = (isExamRunning) => {
+    const [isKiosk, setIsKiosk] = useState(false);
+    const [wakeLock, setWakeLock] = useState('off');
+    // Bumped to ask for the wake lock again after it was refused
+    const [wakeLockAttempt, setWakeLockAttempt] = useState(0);
+    const [isIdle, setIsIdle] = useState(false);
+    const [isHidden, setIsHidden] = useState(false);
+    const [hiddenWhileRunningMs, setHiddenWhileRunningMs] = useState(null);
+    // Read when the tab is hidden, without restarting the visibility listener
+    const isExamRunningRef = useRef(isExamRunning);
+
+    useEffect(() => {
+        isExamRunningRef.current = isExamRunning;
+    }, [isExamRunning]);
+
+    // Must be called from a click or key press (browsers only allow fullscreen then)
+    const enterKiosk = useCallback(() => {
+        setIsKiosk(true);
+        document.documentElement.requestFullscreen?.().catch(() => {
+            // Not allowed here (e.g. inside a frame); the rest of kiosk mode still helps
+        });
+    }, []);
+
+    const exitKiosk = useCallback(() => {
+        setIsKiosk(false);
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        }
+    }, []);
+
+    useEffect(() => {
+        if (!isKiosk) return;
+        const handleFullscreenChange = () => {
+            if (!document.fullscreenElement) setIsKiosk(false);
+        };
+        document.addEventListener('fullscreenchange', handleFullscreenChange);
+        return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+    }, [isKiosk]);
+
+    // Screen wake lock
+    useEffect(() => {
+        if (!isKiosk) return;
+        if (!('wakeLock' in navigator)) {
+            setWakeLock('unsupported');
+            return () => setWakeLock('off');
+        }
+
+        let isActive = true;
+        let sentinel = null;
+        const acquire = () => {
+            navigator.wakeLock.request('screen')
+                .then(lock => {
+                    if (!isActive) {
+                        lock.release();
+                        return;
+                    }
+                    sentinel = lock;
+                    setWakeLock('active');
+                    lock.addEventListener('release', () => {
+                        if (!isActive || sentinel !== lock) return;
+                        sentinel = null;
+                        setWakeLock('lost');
+                    });
+                })
+                .catch(() => {
+                    // Refused (e.g. battery saver, or the tab isn't visible)
+                    if (isActive) setWakeLock('lost');
+                });
+        };
+        const handleVisibilityChange = () => {
+            if (!document.hidden && !sentinel) acquire();
+        };
+
+        acquire();
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            isActive = false;
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            sentinel?.release().catch(() => {});
+            setWakeLock('off');
+        };
+    }, [isKiosk, wakeLockAttempt]);
+
+    const retryWakeLock = useCallback(() => setWakeLockAttempt(prev => prev + 1), []);
+
+    // Hide the cursor and controls while the mouse is still
+    useEffect(() => {
+        if (!isKiosk) return;
+
+        let timerId = setTimeout(() => setIsIdle(true), IDLE_MS);
+        const handleActivity = () => {
+            setIsIdle(false);
+            clearTimeout(timerId);
+            timerId = setTimeout(() => setIsIdle(true), IDLE_MS);
+        };
+        const activityEvents = ['mousemove', 'pointerdown', 'keydown'];
+        activityEvents.forEach(type => window.addEventListener(type, handleActivity));
+        return () => {
+            clearTimeout(timerId);
+            activityEvents.forEach(type => window.removeEventListener(type, handleActivity));
+            setIsIdle(false);
+        };
+    }, [isKiosk]);
+
+    // The tab being hidden (another window on top, a minimised browser) while an exam runs
+    useEffect(() => {
+        if (!isKiosk) return;
+
+        let hiddenAt = null;
+        const handleVisibilityChange = () => {
+            setIsHidden(document.hidden);
+            if (document.hidden) {
+                hiddenAt = isExamRunningRef.current ? Date.now() : null;
+            } else if (hiddenAt !== null) {
+                setHiddenWhileRunningMs(Date.now() - hiddenAt);
+                hiddenAt = null;
+            }
+        };
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => {
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            setIsHidden(false);
+        };
+    }, [isKiosk]);
+
+    const dismissHiddenWarning = useCallback(() => setHiddenWhileRunningMs(null), []);
+
+    return {
+        isKiosk,
+        enterKiosk,
+        exitKiosk,
+        isIdle,
+        wakeLock,
+        retryWakeLock,
+        isHidden,
+        hiddenWhileRunningMs,
+        dismissHiddenWarning,
+    };
+};
+
+export default useKioskMode;
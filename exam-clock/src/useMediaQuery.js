@@ -0,0 +1,20 @@
+import { useState, useEffect } from 'react';
+
+// --- Media Query Hook ---
+// Whether a CSS media query matches (e.g. the computer's prefers-contrast setting), kept up to
+// date when the setting changes.
+const useMediaQuery = (query) => {
+    const [matches, setMatches] = useState(() => window.matchMedia(query).matches);
+
+    useEffect(() => {
+        const mediaQuery = window.matchMedia(query);
+        const handleChange = () => setMatches(mediaQuery.matches);
+        handleChange();
+        mediaQuery.addEventListener('change', handleChange);
+        return () => mediaQuery.removeEventListener('change', handleChange);
+    }, [query]);
+
+    return matches;
+};
+
+export default useMediaQuery;
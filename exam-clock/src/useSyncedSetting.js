@@ -0,0 +1,34 @@
+import { useState, useEffect, useRef } from 'react';
+import { loadSetting, saveSetting } from './session.js';
+import { broadcast, subscribe } from './sync.js';
+
+// --- Synced Setting Hook ---
+// useState for a screen-wide setting: saved across reloads and shared with the other
+// windows (e.g. muting from the controller mutes the projected display).
+const useSyncedSetting = (name, defaultValue) => {
+    const [value, setValue] = useState(() => loadSetting(name) ?? defaultValue);
+    // JSON of the value last saved or received, so it isn't echoed between windows
+    const lastSyncedRef = useRef(null);
+
+    useEffect(() => {
+        const json = JSON.stringify(value);
+        if (json === lastSyncedRef.current) return;
+
+        lastSyncedRef.current = json;
+        saveSetting(name, value);
+        broadcast({ type: 'setting', name, value });
+    }, [name, value]);
+
+    useEffect(() => subscribe((message) => {
+        if (message.type !== 'setting' || message.name !== name) return;
+
+        const json = JSON.stringify(message.value);
+        if (json === lastSyncedRef.current) return;
+        lastSyncedRef.current = json;
+        setValue(message.value);
+    }), [name]);
+
+    return [value, setValue];
+};
+
+export default useSyncedSetting;
@@ -1,7 +1,34 @@
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Writes the service worker (src/sw.js) into the build with the list of files to cache for
+// offline use. The cache version is a hash of the built files, so every deploy that changes
+// anything is picked up as an update.
+const serviceWorker = () => ({
+  name: 'exam-clock-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const publicFiles = readdirSync(new URL('./public', import.meta.url))
+    const files = [...Object.keys(bundle), ...publicFiles].sort()
+
+    const hash = createHash('sha256')
+    Object.values(bundle).forEach(file => hash.update(file.type === 'chunk' ? file.code : file.source))
+    publicFiles.forEach(file => hash.update(readFileSync(new URL(`./public/${file}`, import.meta.url))))
+
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+      .replace('self.__CACHE_VERSION__', JSON.stringify(hash.digest('hex').slice(0, 12)))
+      .replace('self.__PRECACHE_URLS__', JSON.stringify(['./', ...files]))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  // Relative paths, so the build works from the GitHub Pages subfolder (package.json homepage)
+  // and the service worker's scope is that folder
+  base: './',
+  plugins: [react(), serviceWorker()],
 })